@@ -37,7 +37,7 @@ function getCommandlineOptions () {
         default:
             'commonjs',
             metavar : 'TYPE',
-            help : 'The type of module to generate (commonjs, amd, js)'
+            help : 'The type of module to generate (commonjs, amd, es, umd, js)'
         })
         .option('parser-type', {
             abbr : 'p',
@@ -45,7 +45,49 @@ function getCommandlineOptions () {
             'lalr',
             metavar : 'TYPE',
             help : 'The type of algorithm to use for the parser (lr0, slr,' +
-                'lalr, lr)'
+                'lalr, mlr, lr, ll)'
+        })
+        .option('counterexamples', {
+            abbr : 'x',
+            flag : true,
+            help : 'Explain grammar conflicts with counterexamples'
+        })
+        .option('strict', {
+            abbr : 's',
+            flag : true,
+            help : 'Fail on grammar conflicts not declared with %expect or %expect-rr'
+        })
+        .option('report', {
+            abbr : 'r',
+            flag : true,
+            help : 'Write a description of the grammar and automaton to a .output file'
+        })
+        .option('graph', {
+            abbr : 'g',
+            metavar : 'FORMAT',
+            help : 'Write a graph of the automaton to a .dot or .mmd file (dot, mermaid)'
+        })
+        .option('typings', {
+            abbr : 'd',
+            flag : true,
+            help : 'Write TypeScript declarations of the parser to a .d.ts file'
+        })
+        .option('source-map', {
+            flag : true,
+            help : 'Append a source map leading from actions in the generated parser back to the grammar'
+        })
+        .option('table-encoding', {
+            metavar : 'TYPE',
+            help : 'The encoding of the parse table in the generated parser (object, comb)'
+        })
+        .option('table-sizes', {
+            flag : true,
+            help : 'Print the size of the parse table in each encoding'
+        })
+        .option('watch', {
+            abbr : 'w',
+            flag : true,
+            help : 'Regenerate the parser whenever the grammar or lex file changes'
         })
         .option('version', {
             abbr : 'V',
@@ -59,18 +101,145 @@ function getCommandlineOptions () {
     return opts;
 }
 
+// options of `jison sentences`, which prints sentences of a grammar
+function getSentencesOptions (argv) {
+    "use strict";
+    return require("nomnom")()
+        .script('jison sentences')
+        .option('file', {
+            position : 0,
+            required : true,
+            help : 'file containing a grammar'
+        })
+        .option('lexfile', {
+            position : 1,
+            help : 'file containing a lexical grammar'
+        })
+        .option('json', {
+            abbr : 'j',
+            flag : true,
+            help : 'force jison to expect a grammar in JSON format'
+        })
+        .option('parser-type', {
+            abbr : 'p',
+        default:
+            'lalr',
+            metavar : 'TYPE',
+            help : 'The type of algorithm of the parser that must accept the sentences'
+        })
+        .option('count', {
+            abbr : 'n',
+        default:
+            10,
+            metavar : 'N',
+            help : 'Number of sentences'
+        })
+        .option('max-depth', {
+            abbr : 'd',
+        default:
+            10,
+            metavar : 'DEPTH',
+            help : 'Depth of derivations beyond which sentences are completed the shortest way'
+        })
+        .option('seed', {
+            abbr : 's',
+        default:
+            1,
+            metavar : 'SEED',
+            help : 'Seed of the random choices, to repeat a run'
+        })
+        .option('coverage', {
+            abbr : 'c',
+            flag : true,
+            help : 'Use every production at least once'
+        }).parse(argv);
+}
+
+// options of `jison lint`, which reports likely mistakes in a grammar
+function getLintOptions (argv) {
+    "use strict";
+    return require("nomnom")()
+        .script('jison lint')
+        .option('file', {
+            position : 0,
+            required : true,
+            help : 'file containing a grammar'
+        })
+        .option('lexfile', {
+            position : 1,
+            help : 'file containing a lexical grammar'
+        })
+        .option('json', {
+            abbr : 'j',
+            flag : true,
+            help : 'force jison to expect a grammar in JSON format'
+        })
+        .option('parser-type', {
+            abbr : 'p',
+        default:
+            'lalr',
+            metavar : 'TYPE',
+            help : 'The type of algorithm whose conflicts the precedence declarations resolve'
+        })
+        .option('errors', {
+            abbr : 'e',
+            flag : true,
+            help : 'Treat findings as errors, exiting with a failure status'
+        }).parse(argv);
+}
+
+// subcommands, run as `jison <command> [file] [options]`
+var commands = {
+    sentences: {options: getSentencesOptions, run: function (opts) { cli.sentences(opts); }},
+    lint: {options: getLintOptions, run: function (opts) { cli.lint(opts); }}
+};
+
 var cli = module.exports;
 
 cli.main = function cliMain(opts) {
     "use strict";
     opts = opts || {};
 
+    // returns the generator and the code it generated; nothing is written
+    // unless generation succeeds
     function processGrammar(raw, lex, opts) {
         var grammar,
-        parser;
+        generator,
+        code;
         grammar = cli.processGrammars(raw, lex, opts.json);
-        parser = cli.generateParserString(opts, grammar);
-        return parser;
+        generator = cli.createGenerator(opts, grammar);
+        if (opts.graph && opts.outfile) {
+            if (opts.graph !== 'dot' && opts.graph !== 'mermaid') {
+                throw new Error('Unknown graph format: ' + opts.graph);
+            }
+            // only LR generators have an automaton of item sets to draw
+            if (!generator.toDot) {
+                throw new Error('Cannot graph the automaton of ' + generator.type + ' parsers, only that of LR parsers');
+            }
+        }
+        code = generator.generate();
+        if (opts['table-sizes']) {
+            console.error(cli.tableSizeSummary(generator));
+        }
+        if (opts.report && opts.outfile) {
+            writeSibling('.output', generator.report());
+        }
+        if (opts.graph && opts.outfile) {
+            if (opts.graph === 'dot') {
+                writeSibling('.dot', generator.toDot());
+            } else {
+                writeSibling('.mmd', generator.toMermaid());
+            }
+        }
+        if (generator.options.typings && opts.outfile) {
+            writeSibling('.d.ts', generator.generateTypings());
+        }
+        return {generator: generator, code: code};
+    }
+
+    // writes a file named after the generated parser, with another extension
+    function writeSibling(extension, contents) {
+        require('fs').writeFileSync(opts.outfile.replace(/(\.[^.\/\\]*)?$/, extension), contents);
     }
 
     function processInputFile () {
@@ -94,6 +263,8 @@ cli.main = function cliMain(opts) {
         name = name.replace(/\..*$/g, '');
 
         opts.outfile = opts.outfile || (name + '.js');
+        // source maps name the grammar relative to the parser
+        opts.grammarFile = path.relative(path.dirname(path.resolve(opts.outfile)), path.resolve(opts.file));
         if (!opts.moduleName && name) {
             opts.moduleName = name.replace(/-\w/g,
                     function (match) {
@@ -102,7 +273,35 @@ cli.main = function cliMain(opts) {
         }
 
         var parser = processGrammar(raw, lex, opts);
-        fs.writeFileSync(opts.outfile, parser);
+        fs.writeFileSync(opts.outfile, parser.code);
+        return parser.generator;
+    }
+
+    // rebuilds on each change of the grammar or lex file; a failed build is
+    // reported and leaves the last good output in place
+    function watchInputFiles () {
+        var fs = require('fs');
+
+        function build () {
+            var start = Date.now(), generator;
+            try {
+                generator = processInputFile();
+            } catch (e) {
+                console.error('Build failed, keeping the last output: ' + e.message);
+                return;
+            }
+            console.log('Built ' + opts.outfile + ' in ' + (Date.now() - start) + 'ms, ' + cli.conflictSummary(generator));
+        }
+
+        build();
+        [opts.file, opts.lexfile].filter(Boolean).forEach(function (file) {
+            fs.watchFile(file, {interval: 200}, function (current, previous) {
+                if (current.mtime.getTime() !== previous.mtime.getTime()) {
+                    build();
+                }
+            });
+        });
+        console.log('Watching ' + [opts.file, opts.lexfile].filter(Boolean).join(' and ') + ' for changes');
     }
 
     function readin(cb) {
@@ -120,19 +319,105 @@ cli.main = function cliMain(opts) {
 
     function processStdin () {
         readin(function (raw) {
-            console.log(processGrammar(raw, null, opts));
+            console.log(processGrammar(raw, null, opts).code);
         });
     }
 
     // if an input file wasn't given, assume input on stdin
-    if (opts.file) {
+    if (opts.file && opts.watch) {
+        watchInputFiles();
+    } else if (opts.file) {
         processInputFile();
     } else {
         processStdin();
     }
 };
 
+// prints sentences of the grammar, one per line, as space separated terminals
+cli.sentences = function cliSentences(opts) {
+    "use strict";
+    var fs = require('fs');
+    var path = require('path');
+
+    var lex;
+    if (opts.lexfile) {
+        lex = fs.readFileSync(path.normalize(opts.lexfile), 'utf8');
+    }
+    var raw = fs.readFileSync(path.normalize(opts.file), 'utf8');
+    var json = path.extname(opts.file) === '.json' || opts.json;
+
+    var generator = cli.createGenerator(opts, cli.processGrammars(raw, lex, json));
+    generator.generateSentences({
+        count: Number(opts.count),
+        maxDepth: Number(opts['max-depth']),
+        seed: Number(opts.seed),
+        coverage: opts.coverage ? 'productions' : undefined
+    }).forEach(function (sentence) {
+        console.log(sentence.join(' '));
+    });
+};
+
+// prints the findings of the lint pass, which fail the command with --errors
+cli.lint = function cliLint(opts) {
+    "use strict";
+    var fs = require('fs');
+    var path = require('path');
+
+    var lex;
+    if (opts.lexfile) {
+        lex = fs.readFileSync(path.normalize(opts.lexfile), 'utf8');
+    }
+    var raw = fs.readFileSync(path.normalize(opts.file), 'utf8');
+    var json = path.extname(opts.file) === '.json' || opts.json;
+
+    var generator = cli.createGenerator(opts, cli.processGrammars(raw, lex, json));
+    var findings = generator.lint();
+    findings.forEach(function (finding) {
+        console.log((opts.errors ? 'Error: ' : 'Warning: ') + finding.message);
+    });
+    if (opts.errors && findings.length) {
+        throw new Error(opts.file + ': ' + findings.length + (findings.length === 1 ? ' finding' : ' findings'));
+    }
+};
+
+// e.g. "2 conflicts (1 shift/reduce, 1 reduce/reduce)", counting those
+// resolved by default
+cli.conflictSummary = function conflictSummary(generator) {
+    "use strict";
+    var kinds = {'shift/reduce': 0, 'reduce/reduce': 0};
+    (generator.resolutions || []).forEach(function (r) {
+        if (r[2].bydefault) {
+            kinds[r[2].s[0] === 2 ? 'reduce/reduce' : 'shift/reduce']++;
+        }
+    });
+    var details = Object.keys(kinds).filter(function (kind) {
+        return kinds[kind];
+    }).map(function (kind) {
+        return kinds[kind] + ' ' + kind;
+    });
+    return (generator.conflicts || 'no') + ' conflict' + (generator.conflicts === 1 ? '' : 's') +
+        (details.length ? ' (' + details.join(', ') + ')' : '');
+};
+
+// e.g. "Parse table: 28092 characters as objects, 19644 as comb vectors
+// (-8448, -30%)", the difference being that of the comb encoding
+cli.tableSizeSummary = function tableSizeSummary(generator) {
+    "use strict";
+    var sizes = generator.tableSizes(),
+        difference = sizes.comb - sizes.object;
+    function signed(n) {
+        return (n > 0 ? '+' : '') + n;
+    }
+    return 'Parse table: ' + sizes.object + ' characters as objects, ' + sizes.comb + ' as comb vectors (' +
+        signed(difference) + ', ' + signed(Math.round(100 * difference / sizes.object)) + '%)';
+};
+
 cli.generateParserString = function generateParserString(opts, grammar) {
+    "use strict";
+    return cli.createGenerator(opts, grammar).generate();
+};
+
+cli.createGenerator = function createGenerator(opts, grammar) {
     "use strict";
     opts = opts || {};
     var jison = require('./jison.js');
@@ -146,26 +431,43 @@ cli.generateParserString = function generateParserString(opts, grammar) {
         settings.moduleName = opts.moduleName;
     }
     settings.debug = opts.debug;
+    if (opts.counterexamples) {
+        settings.counterexamples = true;
+    }
+    if (opts.strict) {
+        settings.strict = true;
+    }
+    if (opts.typings) {
+        settings.typings = true;
+    }
+    if (opts['source-map']) {
+        settings.sourceMap = true;
+    }
+    if (opts['table-encoding']) {
+        settings.tableEncoding = opts['table-encoding'];
+    }
+    if (opts.grammarFile) {
+        settings.grammarFile = opts.grammarFile;
+    }
     if (!settings.moduleType) {
         settings.moduleType = opts['module-type'];
     }
 
-    var generator = new jison.Generator(grammar, settings);
-    return generator.generate(settings);
+    return new jison.Generator(grammar, settings);
 };
 
 cli.processGrammars = function processGrammars(file, lexFile, jsonMode) {
     "use strict";
     lexFile = lexFile || false;
     jsonMode = jsonMode || false;
-    var ebnfParser = require('ebnf-parser');
+    var jison = require('./jison.js');
     var cjson = require('cjson');
     var grammar;
     try {
         if (jsonMode) {
             grammar = cjson.parse(file);
         } else {
-            grammar = ebnfParser.parse(file);
+            grammar = jison.parseGrammar(file);
         }
     } catch (e) {
         throw new Error('Could not parse jison grammar');
@@ -182,6 +484,12 @@ cli.processGrammars = function processGrammars(file, lexFile, jsonMode) {
 
 
 if (require.main === module) {
-    var opts = getCommandlineOptions();
-    cli.main(opts);
+    var command = commands.hasOwnProperty(process.argv[2]) && commands[process.argv[2]];
+    var opts = command ? command.options(process.argv.slice(3)) : getCommandlineOptions();
+    try {
+        (command ? command.run : cli.main)(opts);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
 }
@@ -9,6 +9,7 @@ var ebnfParser = require('ebnf-parser');
 var JSONSelect = require('JSONSelect');
 var esprima    = require('esprima');
 var escodegen  = require('escodegen');
+var SourceMapGenerator = require('source-map').SourceMapGenerator;
 
 
 var version = require('../package.json').version;
@@ -27,6 +28,102 @@ if (typeof console !== 'undefined' && console.log) {
     Jison.print = function print () {};
 }
 
+// parses a grammar in jison's format; declarations that ebnf-parser skips
+// over, such as %expect, are read from the declarations section here
+Jison.parseGrammar = function parseGrammar (text) {
+    var grammar = ebnfParser.parse(text);
+
+    // drop code, lexer and comment blocks, which may contain %% themselves
+    var declarations = text.replace(/%lex[\w\W]*?\/lex|%\{[\w\W]*?%\}|\/\*[\w\W]*?\*\/|\/\/.*/g, '')
+                           .split(/^\s*%%/m)[0];
+
+    var expect = /^\s*%(expect(?:-rr)?)\s+(\d+)/gm, match;
+    while ((match = expect.exec(declarations))) {
+        grammar.options = grammar.options || {};
+        grammar.options[match[1]] = Number(match[2]);
+    }
+
+    // %type <T> nonterminals and %token <T> tokens: the types of their
+    // semantic values
+    var type = /^\s*%(?:type|token)\s*<(.+)>[ \t]+(.+)$/gm;
+    while ((match = type.exec(declarations))) {
+        grammar.types = grammar.types || {};
+        match[2].trim().split(/\s+/).forEach(function (symbol) {
+            grammar.types[symbol] = match[1].trim();
+        });
+    }
+
+    // tokens declared with %token, unless the grammar lists them itself
+    var token = /^\s*%token(?:\s*<.+>)?[ \t]+(.+)$/gm, tokens = [];
+    while ((match = token.exec(declarations))) {
+        match[1].trim().split(/\s+/).forEach(function (name) {
+            name = name.replace(/^(['"])(.+)\1$/, '$2');
+            if (!/^\d+$/.test(name)) tokens.push(name);
+        });
+    }
+    if (tokens.length && !grammar.tokens) {
+        grammar.tokens = tokens;
+    }
+
+    grammar.source = locateSource(text, grammar);
+
+    return grammar;
+};
+
+// where the actions and code blocks of a grammar were written, for source
+// maps of the generated parser
+function locateSource (text, grammar) {
+    // blank out lexer and comment blocks, keeping offsets, to find the %%
+    // separating the sections
+    var masked = text.replace(/%lex[\w\W]*?\/lex|\/\*[\w\W]*?\*\/|\/\/.*/g, function (block) {
+        return block.replace(/[^\n]/g, ' ');
+    });
+    var separators = [], separator = /^\s*%%/mg, match;
+    while ((match = separator.exec(masked)) && separators.length < 2) {
+        separators.push(match.index + match[0].length);
+    }
+    var rulesStart = separators[0] || 0;
+    var source = {text: text, actions: {}, includes: []};
+
+    // %{ %} blocks of the declarations, and the code after the rules; both
+    // end up in moduleInclude
+    var include = /%\{([\w\W]*?)%\}/g;
+    while ((match = include.exec(masked.slice(0, rulesStart)))) {
+        source.includes.push(typal.mix.call({code: match[1]}, position(match.index + 2)));
+    }
+    if (separators.length === 2) {
+        source.includes.push(typal.mix.call({code: text.slice(separators[1])}, position(separators[1])));
+    }
+
+    // actions are found in the order of the rules; an action written as
+    // -> expression is found by its expression
+    var rules = grammar.bnf || grammar.ebnf || {}, cursor = rulesStart;
+    Object.keys(rules).forEach(function (symbol) {
+        var alternatives = typeof rules[symbol] === 'string' ? [] : rules[symbol];
+        alternatives.forEach(function (alternative) {
+            var action = alternative instanceof Array ? alternative[1] : null;
+            if (typeof action !== 'string' || !action.trim()) return;
+            var code = action, at = text.indexOf(code, cursor);
+            if (at === -1 && /^\$\$ = [\w\W]*;$/.test(action)) {
+                code = action.slice(5, -1);
+                at = text.indexOf(code, cursor);
+            }
+            if (at === -1) return;
+            if (!source.actions.hasOwnProperty(action)) {
+                source.actions[action] = position(at);
+            }
+            cursor = at + code.length;
+        });
+    });
+
+    function position (offset) {
+        var lines = text.slice(0, offset).split('\n');
+        return {line: lines.length, column: lines[lines.length - 1].length};
+    }
+
+    return source;
+}
+
 Jison.Parser = (function () {
 
 // iterator utility
@@ -80,7 +177,7 @@ var generator = typal.beget();
 
 generator.constructor = function Jison_Generator (grammar, opt) {
     if (typeof grammar === 'string') {
-        grammar = ebnfParser.parse(grammar);
+        grammar = Jison.parseGrammar(grammar);
     }
 
     var options = typal.mix.call({}, grammar.options, opt);
@@ -90,6 +187,10 @@ generator.constructor = function Jison_Generator (grammar, opt) {
     this.conflicts = 0;
     this.resolutions = [];
     this.options = options;
+    // a GLR parser follows every action of a conflicted cell
+    if (options.glr) {
+        options.noDefaultResolve = true;
+    }
     this.parseParams = grammar.parseParams;
     this.yy = {}; // accessed as yy free variable in the parser/lexer actions
 
@@ -101,6 +202,8 @@ generator.constructor = function Jison_Generator (grammar, opt) {
         this.actionInclude = grammar.actionInclude;
     }
     this.moduleInclude = grammar.moduleInclude || '';
+    // where the actions and code blocks were written, for source maps
+    this.source = grammar.source;
 
     this.DEBUG = options.debug || false;
     if (this.DEBUG) this.mix(generatorDebug); // mixin debug methods
@@ -133,12 +236,17 @@ generator.processGrammar = function processGrammarDef (grammar) {
 
     var symbols = this.symbols = [];
 
+    // declared types of semantic values, by symbol
+    this.types = typal.mix.call({}, grammar.types);
+
     // calculate precedence of operators
     var operators = this.operators = processOperators(grammar.operators);
 
     // build productions from cfg
     this.buildProductions(bnf, productions, nonterminals, symbols, operators);
 
+    this.declaredTokens = tokens;
+
     if (tokens && this.terminals.length !== tokens.length) {
         self.trace("Warning: declared tokens differ from tokens found in rules.");
         self.trace(this.terminals);
@@ -202,8 +310,15 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
     var productions_ = [0];
     var symbolId = 1;
     var symbols_ = {};
+    var sourceActions = this.source ? this.source.actions : {};
+    var actionLocations = this.actionLocations = {}; // first place each action was written
+    var validate = this.options.validateActions !== false;
+    var errors = []; // of action code, reported together
+    var self = this;
 
     var her = false; // has error recovery
+    var hasAction = {}; // productions with semantic actions
+    var setsValue = {}; // productions with actions assigning $$, or returning
 
     function addSymbol (s) {
         if (s && !symbols_[s]) {
@@ -229,6 +344,44 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
 
         prods.forEach(buildProduction);
     }
+
+    // default actions of tree building mode create a node for each reduction,
+    // with leaves for the tokens
+    if (this.options.buildTree) {
+        productions.forEach(function (production) {
+            if (hasAction[production.id]) return;
+            var handle = production.handle[0] === '' ? [] : production.handle;
+            var children = handle.map(function (sym, i) {
+                var offset = i + 1 - handle.length || '';
+                return nonterminals[sym] ? '$$[$0' + offset + ']' :
+                    '{symbol: ' + JSON.stringify(sym) + ', text: $$[$0' + offset + '], loc: _$[$0' + offset + ']}';
+            });
+            var action = 'this.$ = {symbol: ' + JSON.stringify(production.symbol) + ', production: ' + production.id +
+                ', children: [' + children.join(', ') + '], loc: this._$};';
+            if (action in actionGroups) actionGroups[action].push('case ' + production.id + ':');
+            else actionGroups[action] = ['case ' + production.id + ':'];
+        });
+    }
+
+    // like bison, warn of typed nonterminals left without a value, and of
+    // the default $$ = $1 across types
+    var types = this.types;
+    each(types, function (type, sym) {
+        if (symbols_[sym]) return;
+        self.warn("Warning: type <", type, "> declared for ", sym, ", which is not in the grammar");
+        delete types[sym];
+    });
+    productions.forEach(function (production) {
+        var type = types[production.symbol];
+        if (!type || setsValue[production.id] || (self.options.buildTree && !hasAction[production.id])) return;
+        var rule = ruleName(production);
+        if (production.handle[0] === '') {
+            self.warn("Warning: ", rule, " of typed nonterminal ", production.symbol, " <", type, "> sets no value with $$");
+        } else if (types[production.handle[0]] !== type) {
+            self.warn("Warning: type clash on the default $$ = $1 of ", rule, ": <", type, "> != <", types[production.handle[0]] || '', ">");
+        }
+    });
+
     for (var action in actionGroups)
       actions.push(actionGroups[action].join(' '), action, 'break;');
 
@@ -240,6 +393,20 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
         }
     });
 
+    // code of the grammar outside of actions
+    if (validate) {
+        var includes = this.source ? this.source.includes : [{code: this.moduleInclude}];
+        includes.forEach(function (include) {
+            var error = syntaxError(include.code, false);
+            if (error) errors.push("Grammar error: module code" + locate(include.line && include, error.line) + ": " + error.message);
+        });
+        var error = this.actionInclude && syntaxError(this.actionInclude, true);
+        if (error) errors.push("Grammar error: action code: " + error.message);
+    }
+    if (errors.length) {
+        throw new Error(errors.join("\n"));
+    }
+
     this.hasErrorRecovery = her;
 
     this.terminals = terms;
@@ -258,8 +425,39 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
 
     this.performAction = "function anonymous(" + parameters + ") {\n" + actions + "\n}";
 
+    // checks the code of an action, which would otherwise only fail once the
+    // generated parser is loaded, and its references to the handle
+    function validateAction (production, source, code) {
+        var where = ruleName(production) + locate(sourceActions[source]);
+        var error = syntaxError(code, true);
+        if (error) {
+            errors.push("Grammar error: " + ruleName(production) + locate(sourceActions[source], error.line) + ": " + error.message);
+        }
+        if (beyond.length) {
+            errors.push("Grammar error: " + where + ": " + beyond.join(', ') + " beyond the " + production.handle.filter(Boolean).length + " symbols of the handle");
+        }
+        // unless assigned or declared by the action, as variables may be
+        unknown = unknown.filter(function (name, i) {
+            var variable = name.replace('$', '\\$');
+            return unknown.indexOf(name) === i &&
+                !new RegExp(variable + '\\s*=(?!=)|(?:var|let|const|function)\\s+' + variable + '\\b').test(source);
+        });
+        if (unknown.length) {
+            self.warn("Warning: ", where, ": ", unknown.join(', '), " not a symbol or alias of the handle");
+        }
+    }
+
+    function locate (location, line) {
+        if (!location) return '';
+        return ', line ' + (location.line + (line || 1) - 1) + ' of ' + (self.options.grammarFile || 'the grammar');
+    }
+
+    var beyond, unknown; // references of the action being built
+
     function buildProduction (handle) {
         var r, rhs, i;
+        beyond = [];
+        unknown = [];
         if (handle.constructor === Array) {
             rhs = (typeof handle[0] === 'string') ?
                       handle[0].trim().split(' ') :
@@ -299,29 +497,39 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
                         }
                     }
                     action = action.replace(/\$([a-zA-Z][a-zA-Z0-9_]*)/g, function (str, pl) {
+                            if (!names[pl]) unknown.push(str);
                             return names[pl] ? '$'+names[pl] : str;
                         }).replace(/@([a-zA-Z][a-zA-Z0-9_]*)/g, function (str, pl) {
                             return names[pl] ? '@'+names[pl] : str;
                         });
                 }
+                var length = rhs[0] === '' ? 0 : rhs.length;
                 action = action
                     // replace references to $$ with this.$, and @$ with this._$
                     .replace(/([^'"])\$\$|^\$\$/g, '$1this.$').replace(/@[0$]/g, "this._$")
 
                     // replace semantic value references ($n) with stack value (stack[n])
-                    .replace(/\$(-?\d+)/g, function (_, n) {
+                    .replace(/\$(-?\d+)/g, function (str, n) {
+                        if (n > length) beyond.push(str);
                         return "$$[$0" + (parseInt(n, 10) - rhs.length || '') + "]";
                     })
                     // same as above for location references (@n)
-                    .replace(/@(-?\d+)/g, function (_, n) {
+                    .replace(/@(-?\d+)/g, function (str, n) {
+                        if (n > length) beyond.push(str);
                         return "_$[$0" + (n - rhs.length || '') + "]";
                     });
                 if (action in actionGroups) actionGroups[action].push(label);
                 else actionGroups[action] = [label];
+                if (sourceActions.hasOwnProperty(handle[1]) && !actionLocations.hasOwnProperty(action)) {
+                    actionLocations[action] = sourceActions[handle[1]];
+                }
 
                 // done with aliases; strip them.
                 rhs = rhs.map(function(e,i) { return e.replace(/\[[a-zA-Z_][a-zA-Z0-9_-]*\]/g, '') });
                 r = new Production(symbol, rhs, productions.length+1);
+                hasAction[r.id] = true;
+                if (validate) validateAction(r, handle[1], action);
+                setsValue[r.id] = /this\.\$\s*=(?!=)|\breturn\s+[^\s;]/.test(action);
                 // precedence specified also
                 if (handle[2] && operators[handle[2].prec]) {
                     r.precedence = operators[handle[2].prec].precedence;
@@ -364,10 +572,6 @@ generator.buildProductions = function buildProductions(bnf, productions, nonterm
 
 
 
-generator.createParser = function createParser () {
-    throw new Error('Calling abstract method.');
-};
-
 // noop. implemented in debug mixin
 generator.trace = function trace () { };
 
@@ -830,8 +1034,14 @@ lrGeneratorMixin.parseTable = function parseTable (itemSets) {
                     self.resolutions.push([k,stackSymbol,sol]);
                     if (sol.bydefault) {
                         self.conflicts++;
+                        if (self.options.counterexamples) {
+                            sol.counterexample = self.counterexample(k, stackSymbol, sol);
+                        }
                         if (!self.DEBUG) {
                             self.warn('Conflict in grammar: multiple actions possible when lookahead token is ',stackSymbol,' in state ',k, "\n- ", printAction(sol.r, self), "\n- ", printAction(sol.s, self));
+                            if (sol.counterexample) {
+                                self.warn(printCounterexample(sol.counterexample));
+                            }
                             conflictedStates[k] = true;
                         }
                         if (self.options.noDefaultResolve) {
@@ -863,9 +1073,49 @@ lrGeneratorMixin.parseTable = function parseTable (itemSets) {
         });
     }
 
+    self.checkConflicts();
+
     return states;
 };
 
+// fails when the conflicts resolved by default differ in number from those
+// declared with %expect and %expect-rr; in strict mode, undeclared means none
+lrGeneratorMixin.checkConflicts = function checkConflicts () {
+    var expect = this.options.expect,
+        expectRR = this.options['expect-rr'],
+        strict = this.options.strict;
+
+    // as in bison, %expect alone allows no reduce/reduce conflicts
+    var expected = {
+        'shift/reduce': expect === undefined && strict ? 0 : expect,
+        'reduce/reduce': expectRR === undefined && (strict || expect !== undefined) ? 0 : expectRR
+    };
+    var found = {'shift/reduce': [], 'reduce/reduce': []};
+
+    this.resolutions.forEach(function (r) {
+        if (r[2].bydefault) {
+            found[r[2].s[0] === 2 ? 'reduce/reduce' : 'shift/reduce'].push(r);
+        }
+    });
+
+    var errors = [];
+    each(expected, function (count, kind) {
+        if (count === undefined || found[kind].length === count) return;
+        var states = {};
+        found[kind].forEach(function (r) {
+            (states[r[0]] = states[r[0]] || []).push(r[1]);
+        });
+        errors.push('Expected ' + count + ' ' + kind + ' conflict(s), found ' + found[kind].length);
+        each(states, function (tokens, state) {
+            errors.push('  State ' + state + ' on ' + tokens.join(', '));
+        });
+    });
+
+    if (errors.length) {
+        throw new Error(errors.join('\n'));
+    }
+};
+
 // find states with only one action, a reduction
 function findDefaults (states) {
     var defaults = {};
@@ -924,7 +1174,358 @@ function resolveConflict (production, op, reduce, shift) {
     return sln;
 }
 
-lrGeneratorMixin.generate = function parser_generate (opt) {
+/*
+ * Counterexamples for conflicts
+ *
+ * For a conflict on `token` in a state, each of the two actions is explained
+ * by a derivation from the start symbol that reaches the conflicting item
+ * with `token` as the next terminal. Derivations are found by searching the
+ * state-item graph backwards from the conflicting item. The search first
+ * follows the shortest path of states into the conflicted state, so that
+ * both derivations share the same prefix (and, where the remaining input
+ * also agrees, the same example); otherwise any path is accepted.
+ * */
+
+// explain a conflict resolution `sol` found on `token` in state `stateNum`
+lrGeneratorMixin.counterexample = function counterexample (stateNum, token, sol) {
+    var self = this,
+        path = this.accessingPath(stateNum),
+        actions = [sol.s, sol.r],
+        derivations;
+
+    // FIRST and NULLABLE are needed even by generators that don't use lookaheads
+    this.computeLookaheads();
+
+    function search (action, restriction) {
+        var candidates = [], found = null;
+        if (action[0] === 2) {
+            var production = self.productions[action[1]];
+            candidates.push({production: production, dot: production.handle[0] === '' ? 0 : production.handle.length, need: true});
+        } else {
+            self.states.item(stateNum).forEach(function (item) {
+                if (item.markedSymbol === token) {
+                    candidates.push({production: item.production, dot: item.dotPosition, need: false});
+                }
+            });
+        }
+        candidates.some(function (c) {
+            found = self.findItemDerivation(stateNum, c.production, c.dot, c.need, token, restriction);
+            return found;
+        });
+        return found;
+    }
+
+    derivations = actions.map(function (action) {
+        return search(action, path);
+    });
+
+    // when an action can't be explained along the shortest path, explain it
+    // along any path and retry the other action along that same path
+    [0, 1].forEach(function (i) {
+        if (derivations[i]) return;
+        derivations[i] = search(actions[i], null);
+        if (derivations[i]) {
+            var other = search(actions[1 - i], this.pathOf(prefixOf(derivations[i])));
+            if (other) derivations[1 - i] = other;
+        }
+    }, this);
+
+    derivations = derivations.map(function (derivation, i) {
+        return {
+            action: actions[i][0] === 2 ? 'reduce' : actions[i][0] === 1 ? 'shift' : 'accept',
+            production: actions[i][0] === 2 ? actions[i][1] : null,
+            derivation: derivation,
+            example: derivation ? sententialForm(derivation, token) : null
+        };
+    });
+
+    return {
+        state: stateNum,
+        token: token,
+        type: sol.s[0] === 2 ? 'reduce/reduce' : 'shift/reduce',
+        unifying: !!derivations[0].example && derivations[0].example === derivations[1].example,
+        derivations: derivations
+    };
+};
+
+// shortest sequence of states (and the symbols between them) leading from
+// the initial state to `stateNum`
+lrGeneratorMixin.accessingPath = function accessingPath (stateNum) {
+    var states = this.states,
+        from = {0: null},
+        queue = [0],
+        s, sym, next;
+
+    while (queue.length && !(stateNum in from)) {
+        s = queue.shift();
+        for (sym in states.item(s).edges) {
+            next = states.item(s).edges[sym];
+            if (!(next in from)) {
+                from[next] = {state: s, symbol: sym};
+                queue.push(next);
+            }
+        }
+    }
+
+    var path = {states: [stateNum], symbols: []};
+    for (s = stateNum; from[s]; s = from[s].state) {
+        path.states.unshift(from[s].state);
+        path.symbols.unshift(from[s].symbol);
+    }
+    return path;
+};
+
+// states visited while reading `symbols` from the initial state
+lrGeneratorMixin.pathOf = function pathOf (symbols) {
+    var path = {states: [0], symbols: symbols};
+    for (var i = 0; i < symbols.length; i++) {
+        path.states.push(this.states.item(path.states[i]).edges[symbols[i]]);
+    }
+    return path;
+};
+
+// Breadth-first search backwards from the item (production, dot) in state
+// `stateNum` to the start item. `need` tells whether `token` must still be
+// shown to follow the item. Returns the derivation tree or null.
+lrGeneratorMixin.findItemDerivation = function findItemDerivation (stateNum, production, dot, need, token, path) {
+    var self = this,
+        states = this.states,
+        visited = {},
+        queue = [],
+        node, goal = null;
+
+    function stateOf (node) {
+        return path ? path.states[node.pos] : node.pos;
+    }
+
+    function hasItem (state, production, dot) {
+        return states.item(state).some(function (item) {
+            return item.production === production && item.dotPosition === dot;
+        });
+    }
+
+    function visit (pos, production, dot, need, next) {
+        var key = [pos, production.id, dot, need ? 1 : 0].join(':');
+        if (!visited[key]) {
+            visited[key] = true;
+            queue.push({pos: pos, production: production, dot: dot, need: need, next: next});
+        }
+    }
+
+    visit(path ? path.states.length - 1 : stateNum, production, dot, need, null);
+
+    while (queue.length) {
+        node = queue.shift();
+        var state = stateOf(node);
+
+        if (node.production.id === 0 && node.dot === 0 && state === 0 && !node.need) {
+            goal = node;
+            break;
+        }
+
+        if (node.dot > 0) {
+            // step back over the symbol before the dot
+            var symbol = node.production.handle[node.dot - 1];
+            var predecessors = path ? (node.pos > 0 && path.symbols[node.pos - 1] === symbol ? [node.pos - 1] : []) :
+                                      (states.item(state).predecessors || {})[symbol] || [];
+            predecessors.forEach(function (pos) {
+                if (hasItem(path ? path.states[pos] : pos, node.production, node.dot - 1)) {
+                    visit(pos, node.production, node.dot - 1, node.need, node);
+                }
+            });
+        } else {
+            // step back to the item that predicted this production
+            states.item(state).forEach(function (item) {
+                if (item.markedSymbol !== node.production.symbol) return;
+                var rest = item.remainingHandle(),
+                    need = node.need;
+                if (need) {
+                    if (self.first(rest).indexOf(token) !== -1) {
+                        need = false;
+                    } else if (!self.nullable(rest)) {
+                        return;
+                    }
+                }
+                visit(node.pos, item.production, item.dotPosition, need, node);
+            });
+        }
+    }
+
+    return goal && buildDerivation(this, goal, token);
+};
+
+// replay the items found by the search as a derivation tree; each node is
+// {symbol, production, children} and leaves are {symbol}, {dot: true} or
+// {symbol, empty: true} for nullable symbols deriving nothing
+function buildDerivation (gen, goal, token) {
+    var root = {symbol: goal.production.symbol, production: goal.production, children: []},
+        frames = [{tree: root, production: goal.production, dot: 0}],
+        frame = frames[0],
+        node, next, child, i;
+
+    for (node = goal; node.next; node = node.next) {
+        next = node.next;
+        if (next.production === node.production && next.dot === node.dot + 1) {
+            frame.tree.children.push({symbol: node.production.handle[node.dot]});
+        } else {
+            child = {symbol: next.production.symbol, production: next.production, children: []};
+            frame.tree.children.push(child);
+            frame = {tree: child, production: next.production, dot: next.dot};
+            frames.push(frame);
+        }
+        frame.dot = next.dot;
+    }
+
+    // the conflicting item: mark the dot and append the rest of every
+    // production that is still open, from the innermost outwards
+    frame.tree.children.push({dot: true});
+    for (i = frames.length - 1; i >= 0; i--) {
+        var handle = frames[i].production.handle,
+            from = i === frames.length - 1 ? frames[i].dot : frames[i].tree.children.length;
+        if (handle[0] === '') continue;
+        handle.slice(from).forEach(function (symbol) {
+            frames[i].tree.children.push({symbol: symbol});
+        });
+    }
+
+    // make the lookahead token appear right after the dot
+    var leaves = [], seenDot = false;
+    (function collect (tree) {
+        tree.children.forEach(function (child, k) {
+            if (child.dot) seenDot = true;
+            else if (child.children) collect(child);
+            else if (seenDot) leaves.push({parent: tree, index: k});
+        });
+    })(root);
+
+    leaves.some(function (leaf) {
+        var symbol = leaf.parent.children[leaf.index].symbol;
+        if (symbol === token) return true;
+        if (gen.nonterminals[symbol] && gen.first(symbol).indexOf(token) !== -1) {
+            var expansion = derivesFirst(gen, symbol, token, {});
+            if (expansion) {
+                leaf.parent.children[leaf.index] = expansion;
+                return true;
+            }
+        }
+        leaf.parent.children[leaf.index] = {symbol: symbol, empty: true};
+        return false;
+    });
+
+    // start from the user's start symbol rather than $accept
+    if (token !== gen.EOF && root.children[0].production && !root.children.some(function (c) { return c.dot; })) {
+        return root.children[0];
+    }
+    return root;
+}
+
+// a derivation of `symbol` whose first terminal is `token`
+function derivesFirst (gen, symbol, token, seen) {
+    var found = null;
+    seen[symbol] = true;
+    gen.nonterminals[symbol].productions.some(function (production) {
+        var handle = production.handle, children = [], i, sub;
+        for (i = 0; i < handle.length && handle[0] !== ''; i++) {
+            if (handle[i] === token) {
+                children.push({symbol: token});
+                break;
+            }
+            if (gen.nonterminals[handle[i]] && !seen[handle[i]] && gen.first(handle[i]).indexOf(token) !== -1) {
+                sub = derivesFirst(gen, handle[i], token, seen);
+                if (sub) {
+                    children.push(sub);
+                    break;
+                }
+            }
+            if (!gen.nullable(handle[i])) return false;
+            children.push({symbol: handle[i], empty: true});
+        }
+        if (i === handle.length || handle[0] === '') return false;
+        handle.slice(i + 1).forEach(function (s) { children.push({symbol: s}); });
+        found = {symbol: symbol, production: production, children: children};
+        return true;
+    });
+    return found;
+}
+
+// flatten a derivation into its sentential form, e.g. "IF e THEN s • ELSE s"
+function sententialForm (tree, token) {
+    var symbols = [];
+    (function flatten (tree) {
+        tree.children.forEach(function (child) {
+            if (child.dot) symbols.push('•');
+            else if (child.children) flatten(child);
+            else if (!child.empty && (child.symbol !== '$end' || token === '$end')) symbols.push(child.symbol);
+        });
+    })(tree);
+    return symbols.join(' ');
+}
+
+// symbols of a derivation's sentential form that precede the dot
+function prefixOf (tree) {
+    var symbols = [], done = false;
+    (function walk (tree) {
+        tree.children.forEach(function (child) {
+            if (done) return;
+            if (child.dot) done = true;
+            else if (child.children) walk(child);
+            else if (!child.empty) symbols.push(child.symbol);
+        });
+    })(tree);
+    return symbols;
+}
+
+// render a derivation tree in the style of Bison's counterexamples
+function printDerivation (tree, indent) {
+    var pad = function (n) { return new Array(n + 1).join(' '); };
+    var lines = [pad(indent) + tree.symbol];
+
+    (function expand (tree, col) {
+        var head = tree.empty ? '↳ ' : '↳ ' + tree.production.id + ': ',
+            labels = [],
+            cols = [],
+            c = col + head.length;
+
+        if (tree.empty || tree.production.handle[0] === '') {
+            labels.push('ε');
+            c += 2;
+        }
+        (tree.children || []).forEach(function (child) {
+            var label = child.dot ? '•' : child.symbol;
+            cols.push(c);
+            labels.push(label);
+            c += label.length + 1;
+        });
+        lines.push(pad(col) + head + labels.join(' '));
+        (tree.children || []).forEach(function (child, i) {
+            if (child.children || child.empty) expand(child, cols[i]);
+        });
+    })(tree, indent);
+
+    return lines.join('\n');
+}
+
+function printCounterexample (cex) {
+    var out = ['Counterexample for the ' + cex.type + ' conflict on token ' + cex.token + ' in state ' + cex.state + ':'];
+    cex.derivations.forEach(function (d, i) {
+        if (!d.derivation) {
+            out.push('  No derivation reaches the ' + d.action + (d.production ? ' by rule ' + d.production : '') + ' with ' + cex.token + ' as lookahead');
+            return;
+        }
+        if (!cex.unifying) {
+            out.push('  ' + (i === 0 ? 'First' : 'Second') + ' example: ' + d.example);
+        } else if (i === 0) {
+            out.push('  Example: ' + d.example);
+        }
+        out.push('  ' + d.action.charAt(0).toUpperCase() + d.action.slice(1) + ' derivation');
+        out.push(printDerivation(d.derivation, 4));
+    });
+    return out.join('\n');
+}
+
+// Module generation is shared by all generator types; each type supplies
+// its own generateModule_ to produce the tables and the parse function.
+generator.generate = function parser_generate (opt) {
     opt = typal.mix.call({}, this.options, opt);
     var code = "";
 
@@ -939,15 +1540,87 @@ lrGeneratorMixin.generate = function parser_generate (opt) {
         case "amd":
             code = this.generateAMDModule(opt);
             break;
+        case "es":
+            code = this.generateESModule(opt);
+            break;
+        case "umd":
+            code = this.generateUMDModule(opt);
+            break;
         default:
             code = this.generateCommonJSModule(opt);
             break;
     }
 
+    if (opt.sourceMap) {
+        var map = this.generateSourceMap(code, opt);
+        code += "\n//# sourceMappingURL=data:application/json;charset=utf-8;base64," +
+            (Buffer.from ? Buffer.from(map) : new Buffer(map)).toString('base64') + "\n";
+    }
+
     return code;
 };
 
-lrGeneratorMixin.generateAMDModule = function generateAMDModule(opt){
+// source map of generated code back to the grammar file named grammarFile:
+// lines of each action go to where the action was written (the first place,
+// for actions shared by several rules) and lines of moduleInclude to the code
+// blocks of the grammar. Only grammars read by parseGrammar have locations
+generator.generateSourceMap = function generateSourceMap (code, opt) {
+    opt = typal.mix.call({}, this.options, opt);
+    var map = new SourceMapGenerator({});
+    var file = opt.grammarFile || "grammar.jison";
+    if (!this.source) {
+        return map.toString();
+    }
+    map.setSourceContent(file, this.source.text);
+
+    var lineStarts = [0], match, newline = /\n/g;
+    while ((match = newline.exec(code))) {
+        lineStarts.push(match.index + 1);
+    }
+
+    var mapped = {}, ends = [];
+    each(this.actionLocations, function (location, action) {
+        action = action.replace(/YYABORT/g, 'return false').replace(/YYACCEPT/g, 'return true');
+        var at = code.indexOf('\n' + action + '\nbreak;');
+        if (at !== -1) mapLines(at + 1, action, location);
+    });
+    this.source.includes.forEach(function (include) {
+        var at = include.code.trim() ? code.indexOf(include.code) : -1;
+        if (at !== -1) mapLines(at, include.code, include);
+    });
+    // the generated lines that follow come from no grammar line
+    ends.forEach(function (line) {
+        if (!mapped[line]) map.addMapping({generated: {line: line, column: 0}});
+    });
+
+    function mapLines (offset, text, location) {
+        // last line starting at or before offset
+        var low = 0, high = lineStarts.length - 1;
+        while (low < high) {
+            var mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        var lines = text.replace(/\n$/, '').split('\n');
+        lines.forEach(function (line, i) {
+            mapped[low + 1 + i] = true;
+            map.addMapping({
+                generated: {line: low + 1 + i, column: i ? 0 : offset - lineStarts[low]},
+                original: {line: location.line + i, column: i ? 0 : location.column},
+                source: file
+            });
+        });
+        ends.push(low + 1 + lines.length);
+    }
+
+    // Node reads a last segment without source as continuing the one before,
+    // so end the mappings with an empty line
+    var json = map.toJSON();
+    json.mappings += ';';
+    return JSON.stringify(json);
+};
+
+generator.generateAMDModule = function generateAMDModule(opt){
     opt = typal.mix.call({}, this.options, opt);
     var module = this.generateModule_();
     var out = '\n\ndefine(function(require){\n'
@@ -962,7 +1635,7 @@ lrGeneratorMixin.generateAMDModule = function generateAMDModule(opt){
     return out;
 };
 
-lrGeneratorMixin.generateCommonJSModule = function generateCommonJSModule (opt) {
+generator.generateCommonJSModule = function generateCommonJSModule (opt) {
     opt = typal.mix.call({}, this.options, opt);
     var moduleName = opt.moduleName || "parser";
     var out = this.generateModule(opt)
@@ -978,10 +1651,276 @@ lrGeneratorMixin.generateCommonJSModule = function generateCommonJSModule (opt)
     return out;
 };
 
-lrGeneratorMixin.generateModule = function generateModule (opt) {
+// an ES module has no require or exports to sniff for, and no main
+generator.generateESModule = function generateESModule (opt) {
+    opt = typal.mix.call({}, this.options, opt);
+    var moduleName = opt.moduleName || "parser";
+    var out = this.generateModule(opt)
+        + "\n\n\nvar Parser = "+moduleName+".Parser;"
+        + "\nvar parse = function () { return "+moduleName+".parse.apply("+moduleName+", arguments); };"
+        + "\nexport { Parser, parse };"
+        + "\nexport default "+moduleName+";\n";
+
+    return out;
+};
+
+// loads as an AMD module, as a CommonJS module with the exports of
+// generateCommonJSModule, or else as a global named after the module
+generator.generateUMDModule = function generateUMDModule (opt) {
+    opt = typal.mix.call({}, this.options, opt);
+    var moduleName = opt.moduleName || "parser";
+    var out = moduleHeader()
+        + "(function (root, factory) {"
+        + "\n  if (typeof define === 'function' && define.amd) {"
+        + "\n    define([], factory);"
+        + "\n  } else if (typeof module === 'object' && module.exports) {"
+        + "\n    var parser = factory();"
+        + "\n    exports.parser = parser;"
+        + "\n    exports.Parser = parser.Parser;"
+        + "\n    exports.parse = function () { return parser.parse.apply(parser, arguments); };"
+        + "\n  } else {"
+        + "\n    root." + moduleName + " = factory();"
+        + "\n  }"
+        + "\n}(typeof self !== 'undefined' ? self : this, function () {"
+        + "\nreturn " + this.generateModuleExpr()
+        + "\n}));\n";
+
+    return out;
+};
+
+// TypeScript declarations for the module generated with the same options;
+// parse returns the type declared for the start symbol with %type
+generator.generateTypings = function generateTypings (opt) {
+    opt = typal.mix.call({}, this.options, opt);
+    var moduleName = opt.moduleName;
+    if (!moduleName || !moduleName.match(/^[A-Za-z_$][A-Za-z0-9_$]*$/)) {
+        moduleName = "parser";
+    }
+
+    var terminals = [];
+    each(this.terminals_, function (name) {
+        terminals.push(JSON.stringify(name));
+    });
+    var result = (this.types || {})[this.startSymbol] || 'any';
+    var parseParams = (this.parseParams || []).map(function (param) {
+        return param + ': any';
+    });
+    var params = ['input: string'].concat(parseParams).join(', ');
+    var returns = opt.collectErrors ? '{result: ' + result + ' | undefined, diagnostics: JisonParseError[]}' : result;
+
+    var declarations = [
+        'export type Terminal = ' + terminals.join(' | ') + ';',
+        '',
+        'export interface Location {',
+        '    first_line: number;',
+        '    last_line: number;',
+        '    first_column: number;',
+        '    last_column: number;',
+        '    range?: [number, number];',
+        '}',
+        '',
+        'export interface ParseErrorHash {',
+        '    text: string;',
+        '    token: Terminal | number | null;',
+        '    line: number;',
+        '    loc?: Location;',
+        '    expected?: string[];',
+        '    state?: number;',
+        '    recoverable?: boolean;'
+    ];
+    if (opt.errorRepair) {
+        declarations.push(
+        '    repair?: Array<{type: "insert" | "delete" | "replace", token: Terminal, text?: string, replacement?: Terminal, loc: Location, description: string}>;');
+    }
+    declarations.push(
+        '}',
+        '',
+        'export interface JisonParseError extends Error {',
+        '    hash: ParseErrorHash;',
+        '    text: string;',
+        '    token: Terminal | number | null;',
+        '    line: number;',
+        '    loc?: Location;',
+        '    expected: string[];',
+        '    state?: number;',
+        '    recoverable: boolean;',
+        '}',
+        '',
+        'export interface JisonParseErrorConstructor {',
+        '    new (message: string, hash?: ParseErrorHash): JisonParseError;',
+        '    prototype: JisonParseError;',
+        '}',
+        '',
+        '// shared state of the parser, the lexer and the semantic actions',
+        'export interface YY {',
+        '    lexer?: Lexer;',
+        '    parser?: Parser;',
+        '    parseError?: (str: string, hash: ParseErrorHash) => void;',
+        '    [key: string]: any;',
+        '}',
+        '',
+        'export interface Lexer {',
+        '    EOF: number;',
+        '    yy: YY;',
+        '    yytext: string;',
+        '    yyleng: number;',
+        '    yylineno: number;',
+        '    yylloc: Location;',
+        '    match: string;',
+        '    matched: string;',
+        '    conditionStack: string[];',
+        '    options: {ranges?: boolean, flex?: boolean, backtrack_lexer?: boolean, [key: string]: any};',
+        '    parseError(str: string, hash: ParseErrorHash): void;',
+        '    setInput(input: string, yy?: YY): Lexer;',
+        '    input(): string;',
+        '    unput(str: string): Lexer;',
+        '    more(): Lexer;',
+        '    reject(): Lexer;',
+        '    less(n: number): void;',
+        '    pastInput(): string;',
+        '    upcomingInput(): string;',
+        '    showPosition(): string;',
+        '    next(): Terminal | number | false;',
+        '    lex(): Terminal | number;',
+        '    begin(condition: string): void;',
+        '    popState(): string;',
+        '    topState(n?: number): string;',
+        '    pushState(condition: string): void;',
+        '    stateStackSize(): number;',
+        '}',
+        '',
+        'export interface Parser {',
+        '    yy: YY;',
+        '    lexer: Lexer;',
+        '    symbols_: {[symbol: string]: number};',
+        '    terminals_: {[id: number]: Terminal};',
+        '    productions_: Array<number | [number, number]>;',
+        '    table: any[];',
+        '    defaultActions: {[state: number]: [number, number]};',
+        '    JisonParseError: JisonParseErrorConstructor;',
+        '    Parser: ParserConstructor;',
+        '    trace(str: string): void;',
+        '    parseError(str: string, hash: ParseErrorHash): void;',
+        '    parse(' + params + '): ' + returns + ';'
+    );
+    // the members emitted with the options of LR parsers
+    var lr = !opt.glr && this.type !== "LL(1)";
+    if (lr && opt.errorRepair) {
+        declarations.push('    repairs: ParseErrorHash[];');
+    }
+    if (lr && (opt.errorRepair || opt.expectedTokens)) {
+        declarations.push('    simulate(states: number[], symbol: number, visit?: (state: number) => void): number[] | true | null;');
+    }
+    if (lr && opt.expectedTokens) {
+        declarations.push('    expectedAt(input: string, offset: number): {terminals: string[], nonterminals: string[], state: number} | null;');
+    }
+    if (lr && (opt.pushParser || opt.asyncParser)) {
+        declarations.push('    createPushParser(' + parseParams.join(', ') + '): PushParser;');
+    }
+    if (lr && opt.asyncParser) {
+        declarations.push(
+        '    yieldEvery?: number;',
+        '    parseAsync(' + params + '): Promise<' + returns + '>;');
+    }
+    // the instrumentation hooks of LR parsers
+    if (lr) {
+        declarations.push(
+        '    onShift?: (event: ParseEvent & {text?: string, value?: any, reused?: boolean, next: number}) => void;',
+        '    onReduce?: (event: ParseEvent & {lhs: string, rhs: string[], values: any[], value: any, next?: number}) => void;',
+        '    onError?: (event: ParseEvent & {message: string, text: string, expected: string[]}) => void;',
+        '    onRecover?: (event: ParseEvent & {popped: number}) => void;',
+        '    onAccept?: (event: ParseEvent & {value: any}) => void;');
+        if (opt.stepTracer) {
+            declarations.push('    traceSteps(print?: (line: string) => void): Parser;');
+        }
+    }
+    declarations.push(
+        '}',
+        '',
+        'export interface ParserConstructor {',
+        '    new (): Parser;',
+        '    prototype: Parser;',
+        '}'
+    );
+    if (lr && (opt.pushParser || opt.asyncParser)) {
+        declarations.push(
+        '',
+        '// parser fed one token at a time; push returns false once the parse is over',
+        'export interface PushParser {',
+        '    yy: YY;',
+        '    push(token: Terminal | number, value?: any, loc?: Location): boolean;',
+        '    end(): ' + returns + ';',
+        '}');
+    }
+    if (lr) {
+        declarations.push(
+        '',
+        '// a step of the parse, passed to the instrumentation hooks: the state,',
+        '// the lookahead, the production reduced and the states on the stack',
+        'export interface ParseEvent {',
+        '    state: number;',
+        '    symbol?: string;',
+        '    production: number | null;',
+        '    depth: number;',
+        '    states: number[];',
+        '}');
+    }
+
+    var types = this.types || {};
+    if (Object.keys(types).length) {
+        declarations.push('', '// semantic values of the symbols declared with %type and %token', 'export interface SemanticValues {');
+        each(types, function (type, symbol) {
+            declarations.push('    ' + (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(symbol) ? symbol : JSON.stringify(symbol)) + ': ' + type + ';');
+        });
+        declarations.push('}');
+    }
+
+    var out = ["/* parser typings generated by jison " + version + " */", ""];
+    switch (opt.moduleType) {
+        case "js":
+        case "amd":
+            // the module is the parser itself, with the types in a namespace of
+            // the same name
+            var name = opt.moduleType === "js" ? moduleName : "parser";
+            out.push('declare namespace ' + name + ' {');
+            declarations.forEach(function (line) {
+                out.push(line && '    ' + line);
+            });
+            out.push('}', '', 'declare var ' + name + ': ' + name + '.Parser;');
+            if (opt.moduleType === "amd") {
+                out.push('export = ' + name + ';');
+            }
+            break;
+        default:
+            out = out.concat(declarations, [
+                '',
+                'export declare const parser: Parser;',
+                'export declare const Parser: ParserConstructor;',
+                'export declare function parse(' + params + '): ' + returns + ';'
+            ]);
+            if (opt.moduleType === "es") {
+                out.push('export default parser;');
+            } else if (opt.moduleType !== "umd") {
+                out.push('export declare function main(args: string[]): any;');
+            }
+            break;
+    }
+
+    return out.join('\n') + '\n';
+};
+
+generator.generateModule = function generateModule (opt) {
     opt = typal.mix.call({}, this.options, opt);
     var moduleName = opt.moduleName || "parser";
-    var out = "/* parser generated by jison " + version + " */\n"
+    var out = moduleHeader();
+    out += (moduleName.match(/\./) ? moduleName : "var "+moduleName) +
+            " = " + this.generateModuleExpr();
+
+    return out;
+};
+
+function moduleHeader () {
+    return "/* parser generated by jison " + version + " */\n"
         + "/*\n"
         + "  Returns a Parser object of the following structure:\n"
         + "\n"
@@ -1051,17 +1990,16 @@ lrGeneratorMixin.generateModule = function generateModule (opt) {
         + "  while parser (grammar) errors will also provide these members, i.e. parser errors deliver a superset of attributes: {\n"
         + "    loc:         (yylloc)\n"
         + "    expected:    (string describing the set of expected tokens)\n"
+        + "    state:       (number of the LR state the parser is in)\n"
         + "    recoverable: (boolean: TRUE when the parser has a error recovery rule available for this particular error)\n"
         + "  }\n"
+        + "  the default parseError throws a JisonParseError (parser.JisonParseError) with the members of the hash, and\n"
+        + "  the collectErrors option makes parse return {result, diagnostics}, diagnostics being all of these errors\n"
         + "*/\n";
-    out += (moduleName.match(/\./) ? moduleName : "var "+moduleName) +
-            " = " + this.generateModuleExpr();
-
-    return out;
-};
+}
 
 
-lrGeneratorMixin.generateModuleExpr = function generateModuleExpr () {
+generator.generateModuleExpr = function generateModuleExpr () {
     var out = '';
     var module = this.generateModule_();
 
@@ -1081,9 +2019,47 @@ lrGeneratorMixin.generateModuleExpr = function generateModuleExpr () {
     return out;
 };
 
-function addTokenStack (fn) {
-    var parseFn = fn;
-    try {
+// compiled grammars are plain objects that survive JSON.stringify: the
+// tables, symbols and productions of the parser, the lexer's rules, and the
+// actions as source strings. Jison.loadParser turns them back into parsers.
+var COMPILED_FORMAT = 'jison-compiled-grammar',
+    COMPILED_VERSION = 1;
+
+generator.serialize = function serialize () {
+    if (this.options['token-stack']) {
+        throw new Error('The token-stack option needs a generated parser module, and cannot be serialized');
+    }
+    var lexer = this.lexer && this.lexer.rules ? {
+        rules: this.lexer.rules.map(function (rule) {
+            return {source: rule.source, flags: rule.flags};
+        }),
+        conditions: this.lexer.conditions,
+        options: this.lexer.options || {},
+        performAction: String(this.lexer.performAction)
+    } : null;
+
+    return typal.mix.call({
+        format: COMPILED_FORMAT,
+        version: COMPILED_VERSION,
+        options: {
+            buildTree: !!this.options.buildTree,
+            errorRepair: !!this.options.errorRepair,
+            collectErrors: !!this.options.collectErrors
+        },
+        hasErrorRecovery: !!this.hasErrorRecovery,
+        symbols_: this.symbols_,
+        terminals_: this.terminals_,
+        productions_: this.productions_
+    }, this.serializeTables_(), {
+        performAction: String(this.performAction),
+        moduleInclude: this.moduleInclude || '',
+        lexer: lexer
+    });
+};
+
+function addTokenStack (fn) {
+    var parseFn = fn;
+    try {
         var ast = esprima.parse(parseFn);
         var stackAst = esprima.parse(String(tokenStackLex)).body[0];
         stackAst.id.name = 'lex';
@@ -1122,7 +2098,7 @@ function removeErrorRecovery (fn) {
         var labeled = JSONSelect.match(':has(:root > .label > .name:val("_handle_error"))', ast);
         var reduced_code = labeled[0].body.consequent.body[3].consequent.body;
         reduced_code[0] = labeled[0].body.consequent.body[1];     // remove the line: error_rule_depth = locateNearestErrorRecoveryRule(state);
-        reduced_code[4].expression.arguments[1].properties.pop(); // remove the line: 'recoverable: error_rule_depth !== false'
+        reduced_code[5].expression.arguments[1].properties.pop(); // remove the line: 'recoverable: error_rule_depth !== false'
         labeled[0].body.consequent.body = reduced_code;
 
         return escodegen.generate(ast).replace(/_handle_error:\s?/,"").replace(/\\\\n/g,"\\n");
@@ -1135,21 +2111,26 @@ function removeErrorRecovery (fn) {
 // - module.commonCode: initialization code that should be placed before the module
 // - module.moduleCode: code that creates the module object
 lrGeneratorMixin.generateModule_ = function generateModule_ () {
-    var parseFn = String(parser.parse);
-    if (!this.hasErrorRecovery) {
-      parseFn = removeErrorRecovery(parseFn);
-    }
+    // the LR parse loop is in the automaton that parse runs
+    var parseFn = String(parser.automaton_);
+    if (this.options.glr) {
+      parseFn = String(glrParser.parse);
+    } else {
+      if (!this.hasErrorRecovery) {
+        parseFn = removeErrorRecovery(parseFn);
+      }
 
-    if (this.options['token-stack']) {
-      parseFn = addTokenStack(parseFn);
+      if (this.options['token-stack']) {
+        parseFn = addTokenStack(parseFn);
+      }
     }
 
     // Generate code with fresh variable names
     nextVariableId = 0;
-    var tableCode = this.generateTableCode(this.table);
+    var tableCode = this.tableCode(this.table);
 
     // Generate the initialization code
-    var commonCode = tableCode.commonCode;
+    var commonCode = tableCode.commonCode + parseErrorCode;
 
     // Generate the module creation code
     var moduleCode = "{";
@@ -1162,16 +2143,60 @@ lrGeneratorMixin.generateModule_ = function generateModule_ () {
         "performAction: " + String(this.performAction),
         "table: " + tableCode.moduleCode,
         "defaultActions: " + JSON.stringify(this.defaultActions).replace(/"([0-9]+)":/g,"$1:"),
-        "parseError: " + String(this.parseError || (this.hasErrorRecovery ? traceParseError : parser.parseError)),
-        "parse: " + parseFn
-        ].join(",\n");
+        "parseError: " + String(this.parseError || (this.hasErrorRecovery && !this.options.glr ? traceParseError : parser.parseError)),
+        "JisonParseError: JisonParseError",
+        (this.options.collectErrors ? "parse: " + String(parseCollectingErrors) + ",\nparse_: " : "parse: ") +
+            (this.options.glr ? parseFn : String(parser.parse))
+        ].concat(this.options.glr ? [] : [
+            "automaton_: " + parseFn,
+            "reduce_: " + String(parser.reduce_)
+        ], this.options.collectErrors ? [
+            "collectErrors: true",
+            "errorCollector_: " + String(parser.errorCollector_)
+        ] : [], this.options.buildTree ? "buildTree: true" : [], this.options.errorRepair && !this.options.glr ? [
+            "errorRepair: true",
+            "findRepair: " + String(parser.findRepair)
+        ] : [], this.options.incremental && !this.options.glr ? [
+            "parseIncremental: " + String(parser.parseIncremental),
+            "reparse: " + String(parser.reparse)
+        ] : [], (this.options.errorRepair || this.options.expectedTokens) && !this.options.glr ? [
+            "simulate: " + String(parser.simulate)
+        ] : [], this.options.expectedTokens && !this.options.glr ? [
+            "predictions_: " + JSON.stringify(this.predictions()).replace(/"([0-9]+)":/g,"$1:"),
+            "expectedAt: " + String(parser.expectedAt)
+        ] : [], (this.options.pushParser || this.options.asyncParser) && !this.options.glr ? [
+            "createPushParser: " + String(parser.createPushParser)
+        ] : [], this.options.asyncParser && !this.options.glr ? [
+            "parseAsync: " + String(parser.parseAsync)
+        ] : [], this.options.stepTracer && !this.options.glr ? [
+            "traceSteps: " + String(parser.traceSteps)
+        ] : []).join(",\n");
     moduleCode += "};";
 
     return { commonCode: commonCode, moduleCode: moduleCode }
 };
 
+// the parse table as the runtime parser reads it
+lrGeneratorMixin.runtimeTable_ = function runtimeTable_ () {
+    return this.table;
+};
+
+// tables of a compiled grammar, for the runtime parser named by algorithm
+lrGeneratorMixin.serializeTables_ = function serializeTables_ () {
+    return this.options.glr ? {
+        algorithm: 'glr',
+        table: this.table,
+        defaultActions: this.defaultActions
+    } : {
+        algorithm: 'lr',
+        table: this.table,
+        defaultActions: this.defaultActions,
+        predictions_: this.predictions()
+    };
+};
+
 // Generate code that represents the specified parser table
-lrGeneratorMixin.generateTableCode = function (table) {
+generator.generateTableCode = function (table) {
     var moduleCode = JSON.stringify(table);
     var variables = [createObjectCode];
 
@@ -1274,6 +2299,216 @@ var nextVariableId = 0;
 var variableTokens = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
 var variableTokensLength = variableTokens.length;
 
+// Generate code that represents the specified parser table by row displacement,
+// as Bison's yypact/yytable/yycheck. The actions of each state on terminals
+// form a row indexed by symbol, the gotos on each nonterminal a row indexed
+// by state, and all rows are laid over each other in one vector: row r
+// starting at base[r], check gives the index in its row of each slot. Rows
+// with the same cells share a base, other rows have bases of their own.
+// Left out of the rows are the most frequent goto on each nonterminal, like
+// Bison's yydefgoto, and the most frequent action of each state, usually a
+// reduction, which is stored once with the set of symbols it applies to
+generator.generateCombTableCode = function generateCombTableCode (table) {
+    var self = this,
+        rows = [], gotoRows = {}, width = 0,
+        actions = [], actionIds = {}, actionCounts = [],
+        sets = [], setIds = {},
+        base = [], defaults = [], defaultSets = [], gotos = [],
+        next = [], check = [];
+
+    function isGoto (symbol) {
+        return self.nonterminals && self.nonterminals[self.symbols[symbol]];
+    }
+
+    function id (list, ids, value) {
+        var key = JSON.stringify(value);
+        if (!ids.hasOwnProperty(key)) ids[key] = list.push(value) - 1;
+        return ids[key];
+    }
+
+    function mostFrequent (entries) {
+        var counts = {}, frequent = null;
+        entries.forEach(function (entry) {
+            counts[entry[1]] = (counts[entry[1]] || 0) + 1;
+            if (frequent === null || counts[entry[1]] > counts[frequent]) frequent = entry[1];
+        });
+        return frequent !== null && counts[frequent] > 1 ? frequent : null;
+    }
+
+    // the actions of each state, numbered, and the gotos of each nonterminal
+    for (var state = 0; state < table.length; state++) {
+        base[state] = defaults[state] = defaultSets[state] = null;
+        if (!table[state]) continue;
+        var entries = [];
+        each(table[state], function (action, symbol) {
+            if (action === undefined) return;
+            symbol = Number(symbol);
+            width = Math.max(width, symbol + 1);
+            if (isGoto(symbol)) {
+                (gotoRows[symbol] = gotoRows[symbol] || []).push([state, action]);
+            } else {
+                action = id(actions, actionIds, action);
+                actionCounts[action] = (actionCounts[action] || 0) + 1;
+                entries.push([symbol, action]);
+            }
+        });
+        rows.push({state: state, entries: entries});
+    }
+
+    // number the actions by frequency, for shorter vectors
+    var order = actions.map(function (action, i) {
+        return i;
+    }).sort(function (a, b) {
+        return actionCounts[b] - actionCounts[a] || a - b;
+    });
+    var renumbered = [];
+    order.forEach(function (i, j) {
+        renumbered[i] = j;
+    });
+    actions = order.map(function (i) {
+        return actions[i];
+    });
+
+    // the default action of each state and the default goto of each nonterminal
+    rows.forEach(function (row) {
+        row.entries.forEach(function (entry) {
+            entry[1] = renumbered[entry[1]];
+        });
+        var frequent = mostFrequent(row.entries);
+        if (frequent !== null) {
+            defaults[row.state] = frequent;
+            defaultSets[row.state] = id(sets, setIds, row.entries.filter(function (entry) {
+                return entry[1] === frequent;
+            }).map(function (entry) {
+                return entry[0];
+            }));
+            row.entries = row.entries.filter(function (entry) {
+                return entry[1] !== frequent;
+            });
+        }
+    });
+    each(gotoRows, function (entries, symbol) {
+        var frequent = mostFrequent(entries);
+        if (frequent === null) frequent = entries[0][1];
+        var row = {entries: entries.filter(function (entry) {
+            return entry[1] !== frequent;
+        })};
+        gotos.push(Number(symbol), frequent, row);
+        rows.push(row);
+    });
+
+    // place the fullest rows first, each at the first base where its slots are free
+    rows.sort(function (a, b) {
+        return b.entries.length - a.entries.length;
+    });
+    var firstFree = 0, bases = {}, used = {}, empty = [];
+    rows.forEach(function (row) {
+        if (!row.entries.length) {
+            empty.push(row);
+            return;
+        }
+        var key = JSON.stringify(row.entries);
+        if (!bases.hasOwnProperty(key)) {
+            for (var b = firstFree - row.entries[0][0]; ; b++) {
+                if (!used[b] && row.entries.every(function (entry) { return check[b + entry[0]] === undefined; })) break;
+            }
+            bases[key] = b;
+            used[b] = true;
+            row.entries.forEach(function (entry) {
+                next[b + entry[0]] = entry[1];
+                check[b + entry[0]] = entry[0];
+            });
+            while (check[firstFree] !== undefined) firstFree++;
+        }
+        row.base = bases[key];
+    });
+    for (var i = 0; i < check.length; i++) {
+        if (check[i] === undefined) {
+            next[i] = 0;
+            check[i] = -1;
+        }
+    }
+    // rows without cells start past the end of the vectors
+    empty.forEach(function (row) {
+        row.base = check.length;
+    });
+    rows.forEach(function (row) {
+        if ('state' in row) base[row.state] = row.base;
+    });
+    for (i = 2; i < gotos.length; i += 3) {
+        gotos[i] = gotos[i].base;
+    }
+
+    return {
+        commonCode: '\n' + String(unpackCombTable) + '\n',
+        moduleCode: 'unpackCombTable(' + [width, actions, base, next, check, defaults, defaultSets, sets, gotos].map(function (vector) {
+            return JSON.stringify(vector);
+        }).join(',') + ')'
+    };
+};
+
+// Generate the table code in the encoding chosen by the tableEncoding option
+generator.tableCode = function tableCode (table) {
+    switch (this.options.tableEncoding || 'object') {
+        case 'object':
+            return this.generateTableCode(table);
+        case 'comb':
+            return this.generateCombTableCode(table);
+        default:
+            throw new Error('Unknown table encoding: ' + this.options.tableEncoding);
+    }
+};
+
+// sizes in characters of the code of the parse table in both encodings
+generator.tableSizes = function tableSizes () {
+    function size (code) {
+        return code.commonCode.length + code.moduleCode.length;
+    }
+    var table = this.runtimeTable_();
+    nextVariableId = 0;
+    return {object: size(this.generateTableCode(table)), comb: size(this.generateCombTableCode(table))};
+};
+
+// runtime side of generateCombTableCode: the table as an array of rows, each
+// looked up in the vectors the first time it is used. width is the number of
+// symbols, and gotos lists each nonterminal with its default goto and the
+// base of its row
+function unpackCombTable (width, actions, base, next, check, defaults, defaultSets, sets, gotos) {
+    var table = [];
+    table.length = base.length;
+    function row (state) {
+        var row = {}, i, symbols, slot, end = Math.min(base[state] + width, check.length);
+        for (i = Math.max(base[state], 0); i < end; i++) {
+            if (check[i] === i - base[state]) row[check[i]] = actions[next[i]];
+        }
+        if (defaults[state] !== null) {
+            for (symbols = sets[defaultSets[state]], i = 0; i < symbols.length; i++) {
+                row[symbols[i]] = actions[defaults[state]];
+            }
+        }
+        for (i = 0; i < gotos.length; i += 3) {
+            slot = gotos[i + 2] + state;
+            row[gotos[i]] = check[slot] === state ? next[slot] : gotos[i + 1];
+        }
+        return row;
+    }
+    function lookup (state) {
+        Object.defineProperty(table, state, {
+            enumerable: true,
+            configurable: true,
+            get: function () {
+                var value = row(state);
+                Object.defineProperty(table, state, {value: value, enumerable: true, writable: true});
+                return value;
+            }
+        });
+    }
+    for (var state = 0; state < base.length; state++) {
+        if (base[state] !== null) lookup(state);
+    }
+    return table;
+}
+
 // default main method for generated commonjs modules
 function commonjsMain (args) {
     if (!args[1]) {
@@ -1284,335 +2519,2336 @@ function commonjsMain (args) {
     return exports.parser.parse(source);
 }
 
-// debug mixin for LR parser generators
+/*
+ * Verbose report, in the spirit of Bison's .output files
+ * */
 
-function printAction (a, gen) {
-    var s = a[0] == 1 ? 'shift token (then go to state '+a[1]+')' :
-        a[0] == 2 ? 'reduce by rule: '+gen.productions[a[1]] :
-                    'accept' ;
+// describes the grammar, then the automaton (supplied by each generator type)
+generator.report = function report () {
+    var self = this,
+        out = [];
+
+    out.push('Grammar', '');
+    this.productions.forEach(function (production, i) {
+        var previous = self.productions[i - 1];
+        var lhs = previous && previous.symbol === production.symbol ?
+                  new Array(production.symbol.length + 1).join(' ') + '|' :
+                  production.symbol + ':';
+        out.push(pad(production.id, 5) + ' ' + lhs + ' ' + handleToString(production.handle));
+    });
 
-    return s;
-}
+    out.push('', '', 'Terminals, with rules where they appear', '');
+    this.terminals.forEach(function (terminal) {
+        out.push('    ' + terminal + typeOf(terminal) + ' (' + self.symbols_[terminal] + ')' + rulesWhere(terminal, 'right'));
+    });
 
-var lrGeneratorDebug = {
-    beforeparseTable: function () {
-        this.trace("Building parse table.");
-    },
-    afterparseTable: function () {
-        var self = this;
-        if (this.conflicts > 0) {
-            this.resolutions.forEach(function (r, i) {
-                if (r[2].bydefault) {
-                    self.warn('Conflict at state: ',r[0], ', token: ',r[1], "\n  ", printAction(r[2].r, self), "\n  ", printAction(r[2].s, self));
-                }
-            });
-            this.trace("\n"+this.conflicts+" Conflict(s) found in grammar.");
-        }
-        this.trace("Done.");
-    },
-    aftercanonicalCollection: function (states) {
-        var trace = this.trace;
-        trace("\nItem sets\n------");
+    out.push('', '', 'Nonterminals, with rules where they appear', '');
+    this.symbols.forEach(function (symbol) {
+        if (!self.nonterminals[symbol]) return;
+        out.push('    ' + symbol + typeOf(symbol) + ' (' + self.symbols_[symbol] + ')');
+        var left = rulesWhere(symbol, 'left'),
+            right = rulesWhere(symbol, 'right');
+        out.push('        ' + [left && 'on left:' + left, right && 'on right:' + right].filter(Boolean).join(', '));
+    });
 
-        states.forEach(function (state, i) {
-            trace("\nitem set",i,"\n"+state.join("\n"), '\ntransitions -> ', JSON.stringify(state.edges));
+    function typeOf (symbol) {
+        return self.types && self.types[symbol] ? ' <' + self.types[symbol] + '>' : '';
+    }
+
+    function rulesWhere (symbol, side) {
+        var ids = [];
+        self.productions.forEach(function (production) {
+            if (side === 'left' ? production.symbol === symbol : production.handle.indexOf(symbol) !== -1) {
+                ids.push(production.id);
+            }
         });
+        return ids.length ? ' ' + ids.join(' ') : '';
     }
+
+    return out.concat('', '', this.reportAutomaton()).join('\n') + '\n';
 };
 
-var parser = typal.beget();
+function pad (value, width) {
+    value = String(value);
+    return new Array(Math.max(width - value.length, 0) + 1).join(' ') + value;
+}
 
-lrGeneratorMixin.createParser = function createParser () {
+function padRight (value, width) {
+    return value + new Array(Math.max(width - value.length, 0) + 1).join(' ');
+}
 
-    var p = eval(this.generateModuleExpr());
+function handleToString (handle) {
+    return handle[0] === '' ? 'ε' : handle.join(' ');
+}
 
-    // for debugging
-    p.productions = this.productions;
+function ruleName (production) {
+    return 'rule ' + production.id + ' (' + production.symbol + ': ' + handleToString(production.handle) + ')';
+}
 
-    var self = this;
-    function bind(method) {
-        return function() {
-            self.lexer = p.lexer;
-            return self[method].apply(self, arguments);
-        };
+// the syntax error of code written in the grammar, with its line in the
+// code, or null. esprima knows ES5 only, so code that the running engine
+// accepts is fine too
+function syntaxError (code, inFunction) {
+    try {
+        esprima.parse(inFunction ? '(function () {' + code + '\n})' : code);
+        return null;
+    } catch (e) {
+        try {
+            Function(code);
+            return null;
+        } catch (engineError) {
+            return {line: e.lineNumber || 1, message: e.description || e.message};
+        }
     }
+}
 
-    // backwards compatability
-    p.lexer = this.lexer;
-    p.generate = bind('generate');
-    p.generateAMDModule = bind('generateAMDModule');
-    p.generateModule = bind('generateModule');
-    p.generateCommonJSModule = bind('generateCommonJSModule');
+// describe each state: kernel and closure items, actions and conflicts
+lrGeneratorMixin.reportAutomaton = function reportAutomaton () {
+    var self = this,
+        out = [],
+        conflicts = {};
+
+    this.resolutions.forEach(function (r) {
+        var c = conflicts[r[0]] = conflicts[r[0]] || {sr: 0, rr: 0, resolutions: []};
+        c.resolutions.push(r);
+        if (r[2].bydefault) {
+            c[r[2].s[0] === 2 ? 'rr' : 'sr']++;
+        }
+    });
 
-    return p;
-};
+    var summary = [];
+    each(conflicts, function (c, k) {
+        var counts = [];
+        if (c.sr) counts.push(c.sr + ' shift/reduce');
+        if (c.rr) counts.push(c.rr + ' reduce/reduce');
+        if (counts.length) summary.push('State ' + k + ' conflicts: ' + counts.join(', '));
+    });
+    if (summary.length) {
+        out.push.apply(out, summary);
+        out.push('', '');
+    }
 
-parser.trace = generator.trace;
-parser.warn = generator.warn;
-parser.error = generator.error;
+    this.states.forEach(function (itemSet, k) {
+        var state = self.table[k],
+            kernel = [],
+            closure = [],
+            shifts = [], reductions = [], gotos = [];
 
-function traceParseError (err, hash) {
-    this.trace(err);
-}
+        itemSet.forEach(function (item) {
+            (item.dotPosition > 0 || item.production.id === 0 ? kernel : closure).push(item);
+        });
 
-function parseError (str, hash) {
-    if (hash.recoverable) {
-        this.trace(str);
-    } else {
-        var error = new Error(str);
-        error.hash = hash;
-        throw error;
-    }
+        out.push('State ' + k, '');
+        kernel.concat(closure).forEach(function (item, i) {
+            if (i === kernel.length && closure.length) out.push('');
+            out.push(itemToString(item, self.lookAheads && !item.markedSymbol ? self.lookAheads(itemSet, item) : null));
+        });
+        out.push('');
+
+        each(state, function (action, symbol) {
+            var name = self.symbols[symbol];
+            if (!action) return;
+            if (typeof action === 'number') {
+                gotos.push('    ' + padRight(name, 12) + ' go to state ' + action);
+                return;
+            }
+            var actions = action[0] instanceof Array ? action : [action];
+            actions.forEach(function (a, i) {
+                var text = a[0] === 1 ? 'shift, and go to state ' + a[1] :
+                           a[0] === 2 ? 'reduce using rule ' + a[1] + ' (' + self.productions[a[1]].symbol + ')' :
+                                        'accept';
+                (a[0] === 2 ? reductions : shifts).push('    ' + padRight(name, 12) + ' ' + (i ? '[' + text + ']' : text));
+            });
+        });
+
+        // actions that lost a conflict resolved by default
+        (conflicts[k] ? conflicts[k].resolutions : []).forEach(function (r) {
+            var sol = r[2];
+            if (!sol.bydefault || self.options.noDefaultResolve) return;
+            var loser = sol.action === sol.s ? sol.r : sol.s;
+            reductions.push('    ' + padRight(r[1], 12) + ' [' + (loser[0] === 1 ?
+                'shift, and go to state ' + loser[1] :
+                'reduce using rule ' + loser[1] + ' (' + self.productions[loser[1]].symbol + ')') + ']');
+        });
+
+        // a state whose only action is a reduction performs it regardless of the lookahead
+        if (self.defaultActions[k]) {
+            reductions = [];
+            reductions.push('    ' + padRight('$default', 12) + ' reduce using rule ' + self.defaultActions[k][1] +
+                ' (' + self.productions[self.defaultActions[k][1]].symbol + ')');
+        }
+
+        [shifts, reductions, gotos].forEach(function (lines) {
+            if (lines.length) out.push.apply(out, lines.concat(''));
+        });
+
+        (conflicts[k] ? conflicts[k].resolutions : []).forEach(function (r) {
+            var sol = r[2];
+            if (sol.s[0] === 2 && !sol.bydefault) return;
+            if (sol.bydefault) {
+                out.push('    Conflict on token ' + r[1] + ' between ' + printAction(sol.r, self) + ' and ' + printAction(sol.s, self) +
+                    ' resolved by default as ' + (sol.action === sol.s ? (sol.s[0] === 2 ? 'the earlier rule' : 'shift') : 'reduce') + '.');
+                if (sol.counterexample) {
+                    out.push(printCounterexample(sol.counterexample).replace(/^/gm, '    '));
+                }
+            } else {
+                out.push('    Conflict between rule ' + sol.r[1] + ' and token ' + r[1] + ' resolved as ' +
+                    (sol.action === NONASSOC ? 'an error' : sol.action === sol.s ? 'shift' : 'reduce') +
+                    ' (%' + sol.operator.assoc + ' ' + r[1] + ').');
+            }
+        });
+        if (conflicts[k] && conflicts[k].resolutions.length) out.push('');
+        out.push('');
+    });
+
+    return out.join('\n');
+};
+
+function itemToString (item, lookaheads) {
+    return pad(item.production.id, 5) + ' ' + itemRule(item) +
+        (lookaheads && lookaheads.length ? '  [' + lookaheads.join(', ') + ']' : '');
 }
 
-parser.parseError = lrGeneratorMixin.parseError = parseError;
+function itemRule (item) {
+    var handle = item.production.handle[0] === '' ? [] : item.production.handle.slice(0);
+    handle.splice(item.dotPosition, 0, '•');
+    return item.production.symbol + ': ' + handle.join(' ');
+}
 
-parser.parse = function parse (input) {
+// nonterminals predicted in each state, i.e. following the dot of its items,
+// by state number; states predicting none are left out
+lrGeneratorMixin.predictions = function predictions () {
     var self = this,
-        stack = [0],
-        tstack = [], // token stack
-        vstack = [null], // semantic value stack
-        lstack = [], // location stack
-        table = this.table,
-        yytext = '',
-        yylineno = 0,
-        yyleng = 0,
-        recovering = 0,
-        TERROR = 2,
-        EOF = 1;
+        predictions = {};
+    this.states.forEach(function (itemSet, k) {
+        var predicted = [];
+        itemSet.forEach(function (item) {
+            if (self.nonterminals[item.markedSymbol] && predicted.indexOf(item.markedSymbol) === -1) {
+                predicted.push(item.markedSymbol);
+            }
+        });
+        if (predicted.length) {
+            predictions[k] = predicted;
+        }
+    });
+    return predictions;
+};
 
-    var args = lstack.slice.call(arguments, 1);
+/*
+ * Pictures of the automaton, as Graphviz (DOT) or Mermaid graphs
+ * */
 
-    //this.reductionCount = this.shiftCount = 0;
+// walks the item sets, calling back with each state's items and transitions;
+// states with conflicts resolved by default are flagged
+lrGeneratorMixin.eachGraphState = function eachGraphState (func) {
+    var conflicted = {};
+    this.resolutions.forEach(function (r) {
+        if (r[2].bydefault) conflicted[r[0]] = true;
+    });
 
-    var lexer = Object.create(this.lexer);
-    var sharedState = { yy: {} };
-    // copy state
-    for (var k in this.yy) {
-      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
-        sharedState.yy[k] = this.yy[k];
-      }
-    }
+    this.states.forEach(function (itemSet, k) {
+        var edges = [];
+        each(itemSet.edges, function (target, symbol) {
+            edges.push({symbol: symbol, target: target});
+        });
+        func({
+            id: k,
+            items: itemSet.map(itemRule),
+            edges: edges,
+            conflict: !!conflicted[k]
+        });
+    });
+};
 
-    lexer.setInput(input, sharedState.yy);
-    sharedState.yy.lexer = lexer;
-    sharedState.yy.parser = this;
-    if (typeof lexer.yylloc == 'undefined') {
-        lexer.yylloc = {};
+lrGeneratorMixin.toDot = function toDot () {
+    var out = ['digraph automaton {',
+               '    rankdir=LR;',
+               '    node [shape=box, fontname="monospace"];'];
+
+    function escape (text) {
+        return text.replace(/[\\"]/g, '\\$&');
     }
-    var yyloc = lexer.yylloc;
-    lstack.push(yyloc);
 
-    var ranges = lexer.options && lexer.options.ranges;
+    this.eachGraphState(function (state) {
+        var label = 'State ' + state.id + '\\l\\l' + state.items.map(function (item) {
+            return escape(item) + '\\l';
+        }).join('');
+        out.push('    s' + state.id + ' [label="' + label + '"' +
+            (state.conflict ? ', style=filled, fillcolor="#f4cccc", color="#cc0000"' : '') + '];');
+        state.edges.forEach(function (edge) {
+            out.push('    s' + state.id + ' -> s' + edge.target + ' [label="' + escape(edge.symbol) + '"];');
+        });
+    });
 
-    if (typeof sharedState.yy.parseError === 'function') {
-        this.parseError = sharedState.yy.parseError;
-    } else {
-        this.parseError = Object.getPrototypeOf(this).parseError;
-    }
+    return out.concat('}').join('\n') + '\n';
+};
 
-    function popStack (n) {
-        stack.length = stack.length - 2 * n;
-        vstack.length = vstack.length - n;
-        lstack.length = lstack.length - n;
-    }
+lrGeneratorMixin.toMermaid = function toMermaid () {
+    var out = ['graph LR'],
+        conflicts = [];
 
-_token_stack:
-    var lex = function () {
-        var token;
-        token = lexer.lex() || EOF;
-        // if token isn't its numeric value, convert
-        if (typeof token !== 'number') {
-            token = self.symbols_[token] || token;
-        }
-        return token;
+    // entity codes keep quotes and markup out of Mermaid's label syntax
+    function escape (text) {
+        return text.replace(/[#"<>&|]/g, function (c) { return '#' + c.charCodeAt(0) + ';'; });
     }
 
-    var symbol, preErrorSymbol, state, action, a, r, yyval = {}, p, len, newState, expected;
-    while (true) {
-        // retreive state number from top of stack
-        state = stack[stack.length - 1];
+    this.eachGraphState(function (state) {
+        out.push('    s' + state.id + '["State ' + state.id + '<br>' + state.items.map(escape).join('<br>') + '"]');
+        state.edges.forEach(function (edge) {
+            out.push('    s' + state.id + ' -->|"' + escape(edge.symbol) + '"| s' + edge.target);
+        });
+        if (state.conflict) conflicts.push('s' + state.id);
+    });
 
-        // use default actions if available
-        if (this.defaultActions[state]) {
-            action = this.defaultActions[state];
-        } else {
-            if (symbol === null || typeof symbol == 'undefined') {
-                symbol = lex();
-            }
-            // read action for current state and first input
-            action = table[state] && table[state][symbol];
-        }
+    if (conflicts.length) {
+        out.push('    classDef conflict fill:#f4cccc,stroke:#cc0000', '    class ' + conflicts.join(',') + ' conflict');
+    }
+
+    return out.join('\n') + '\n';
+};
+
+/*
+ * Lint
+ * */
+
+// findings about the grammar that are likely mistakes, as {type, message}
+// with the symbol or production concerned
+generator.lint = function lint () {
+    var self = this,
+        findings = [],
+        productions = this.productions.filter(function (production) {
+            return production.id !== 0;
+        });
+
+    function isTerminal (symbol) {
+        return !self.nonterminals[symbol];
+    }
+
+    // nonterminals reachable from the start symbol
+    var reachable = {}, queue = [this.startSymbol];
+    reachable[this.startSymbol] = true;
+    while (queue.length) {
+        var symbol = queue.shift();
+        this.nonterminals[symbol].productions.forEach(function (production) {
+            production.handle.forEach(function (child) {
+                if (!isTerminal(child) && !reachable[child]) {
+                    reachable[child] = true;
+                    queue.push(child);
+                }
+            });
+        });
+    }
+
+    // nonterminals deriving some string of terminals
+    var productive = {}, changed = true;
+    while (changed) {
+        changed = false;
+        productions.forEach(function (production) {
+            if (productive[production.symbol]) return;
+            if (production.handle.every(function (child) { return child === '' || isTerminal(child) || productive[child]; })) {
+                productive[production.symbol] = changed = true;
+            }
+        });
+    }
+
+    this.symbols.forEach(function (symbol) {
+        if (isTerminal(symbol) || symbol === '$accept') return;
+        if (!reachable[symbol]) {
+            findings.push({type: 'unreachable', symbol: symbol,
+                message: 'Nonterminal ' + symbol + ' is unreachable from the start symbol ' + self.startSymbol});
+        }
+        if (!productive[symbol]) {
+            findings.push({type: 'unproductive', symbol: symbol,
+                message: 'Nonterminal ' + symbol + ' derives no string of terminals'});
+        }
+    });
+
+    // tokens declared and tokens used, when the grammar declares any
+    if (this.declaredTokens) {
+        var declared = {}, used = {};
+        this.declaredTokens.forEach(function (token) {
+            if (token) declared[token] = true;
+        });
+        this.terminals.forEach(function (token) {
+            if (token !== self.EOF && token !== 'error') used[token] = true;
+        });
+        each(declared, function (_, token) {
+            if (!used[token]) {
+                findings.push({type: 'unused-token', symbol: token, message: 'Token ' + token + ' is declared but never used'});
+            }
+        });
+        // quoted literals, whose names are no identifiers, and EOF need no declaration
+        each(used, function (_, token) {
+            if (!declared[token] && token !== 'EOF' && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(token)) {
+                findings.push({type: 'undeclared-token', symbol: token, message: 'Token ' + token + ' is used but never declared'});
+            }
+        });
+    }
+
+    // operators that decide no conflict, either as the lookahead or as the
+    // token giving the rule its precedence; a rule given precedence by %prec
+    // is taken to use the operators of its level that appear in no rule
+    var deciding = {};
+    (this.resolutions || []).forEach(function (r) {
+        var sol = r[2];
+        if (sol.bydefault || sol.s[0] === 2 || !sol.operator || !sol.production.precedence) return;
+        deciding[r[1]] = true;
+        precedenceTokens(sol.production).forEach(function (token) {
+            deciding[token] = true;
+        });
+    });
+    each(this.operators, function (operator, token) {
+        if (!deciding[token]) {
+            findings.push({type: 'useless-precedence', symbol: token,
+                message: 'Precedence of ' + token + ' (%' + operator.assoc + ') resolves no conflict'});
+        }
+    });
+
+    function precedenceTokens (production) {
+        for (var i = production.handle.length - 1; i >= 0; i--) {
+            var operator = self.operators[production.handle[i]];
+            if (operator && isTerminal(production.handle[i])) {
+                if (operator.precedence === production.precedence) return [production.handle[i]];
+                break;
+            }
+        }
+        var tokens = [];
+        each(self.operators, function (operator, token) {
+            if (operator.precedence === production.precedence && !self.symbols_[token]) tokens.push(token);
+        });
+        return tokens;
+    }
+
+    // productions written twice
+    var seen = {};
+    productions.forEach(function (production) {
+        var key = production.symbol + ' -> ' + production.handle.join(' ');
+        if (seen.hasOwnProperty(key)) {
+            findings.push({type: 'duplicate-production', production: production,
+                message: ruleName(production) + ' duplicates rule ' + seen[key].id});
+        } else {
+            seen[key] = production;
+        }
+    });
+
+    return findings;
+};
+
+/*
+ * Sentences of the grammar, for fuzzing generated parsers
+ * */
+
+// sentences of the grammar as arrays of terminals. Productions are picked at
+// random from a seeded generator, so that runs can be repeated, and
+// expansions that would go deeper than maxDepth take the shortest way out.
+// With coverage: 'productions', each production that is part of a sentence
+// is forced into one first, so count is then a minimum. Sentences the parser
+// would reject, e.g. because of %nonassoc, are left out
+generator.generateSentences = function generateSentences (options) {
+    options = options || {};
+    var self = this,
+        maxDepth = options.maxDepth || 10,
+        count = options.count === undefined ? 10 : options.count,
+        random = seededRandom(options.seed === undefined ? 1 : options.seed),
+        attempts = 10;
+
+    // productions that can take part in a sentence: not the augmented start,
+    // and without the error token
+    var productions = this.productions.filter(function (production) {
+        return production.id !== 0 && production.handle.indexOf('error') === -1;
+    });
+
+    // height of the shortest derivation of each nonterminal and production;
+    // those without one derive no sentence
+    var height = {}, shortest = {}, heightOf = {};
+    var changed = true;
+    while (changed) {
+        changed = false;
+        productions.forEach(function (production) {
+            var h = 1;
+            for (var i = 0; i < production.handle.length; i++) {
+                var symbol = production.handle[i];
+                if (self.nonterminals[symbol]) {
+                    if (!(symbol in height)) return;
+                    h = Math.max(h, height[symbol] + 1);
+                }
+            }
+            heightOf[production.id] = h;
+            if (!(production.symbol in height) || h < height[production.symbol]) {
+                height[production.symbol] = h;
+                shortest[production.symbol] = production;
+                changed = true;
+            }
+        });
+    }
+    productions = productions.filter(function (production) {
+        return production.id in heightOf;
+    });
+
+    // how each nonterminal is first reached from the start symbol, to lead a
+    // sentence to a given production
+    var via = {}, queue = [this.startSymbol];
+    via[this.startSymbol] = null;
+    while (queue.length) {
+        var symbol = queue.shift();
+        productions.forEach(function (production) {
+            if (production.symbol !== symbol) return;
+            production.handle.forEach(function (child, index) {
+                if (self.nonterminals[child] && !(child in via)) {
+                    via[child] = {production: production, index: index};
+                    queue.push(child);
+                }
+            });
+        });
+    }
+
+    var sentences = [], covered = {};
+
+    // expands symbol at depth; path holds the productions to force on the
+    // way to a production being covered, each with the child leading on
+    function expand (symbol, depth, path, out, used) {
+        if (!self.nonterminals[symbol]) {
+            if (symbol !== '') out.push(symbol);
+            return;
+        }
+        var production, next = null;
+        if (path.length) {
+            production = path[0].production;
+            next = path[0].index;
+            path = path.slice(1);
+        } else {
+            var choices = productions.filter(function (production) {
+                return production.symbol === symbol && depth + heightOf[production.id] <= maxDepth;
+            });
+            production = choices.length ? choices[Math.floor(random() * choices.length)] : shortest[symbol];
+        }
+        used[production.id] = true;
+        production.handle.forEach(function (child, index) {
+            expand(child, depth + 1, index === next ? path : [], out, used);
+        });
+    }
+
+    function sentence (path) {
+        for (var attempt = 0; attempt < attempts; attempt++) {
+            var out = [], used = {};
+            expand(self.startSymbol, 0, path, out, used);
+            if (self.recognizes(out)) {
+                each(used, function (_, id) { covered[id] = true; });
+                return out;
+            }
+        }
+        return null;
+    }
+
+    if (this.startSymbol in height) {
+        if (options.coverage === 'productions') {
+            productions.forEach(function (production) {
+                if (covered[production.id] || !(production.symbol in via)) return;
+                var path = [{production: production, index: -1}];
+                for (var step = via[production.symbol]; step; step = via[step.production.symbol]) {
+                    path.unshift(step);
+                }
+                var out = sentence(path);
+                if (out) sentences.push(out);
+            });
+        }
+        for (var tries = 0; sentences.length < count && tries < count * attempts; tries++) {
+            var out = sentence([]);
+            if (out) sentences.push(out);
+        }
+    }
+
+    return sentences;
+};
+
+// whether the parser accepts a sentence of the grammar; any grammar without
+// conflicts accepts them all
+generator.recognizes = function recognizes (tokens) {
+    return true;
+};
+
+// runs the sentence through the automaton, which may reject sentences of the
+// grammar where conflicts were resolved against them; a GLR parser follows
+// every action, so accepts them all
+lrGeneratorMixin.recognizes = function recognizes (tokens) {
+    if (this.options.glr) return true;
+    var self = this, states = [0];
+    var symbols = tokens.map(function (token) {
+        return self.symbols_[token];
+    }).concat([this.symbols_[this.EOF]]);
+    for (var i = 0; i < symbols.length; i++) {
+        states = parser.simulate.call(this, states, symbols[i]);
+        if (states === true) return i === symbols.length - 1;
+        if (!states) return false;
+    }
+    return false;
+};
+
+// Park-Miller generator, for sentences that can be generated again
+function seededRandom (seed) {
+    var state = Math.abs(Math.floor(seed)) % 2147483647 || 1;
+    return function () {
+        state = state * 16807 % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+// debug mixin for LR parser generators
+
+function printAction (a, gen) {
+    var s = a[0] == 1 ? 'shift token (then go to state '+a[1]+')' :
+        a[0] == 2 ? 'reduce by rule: '+gen.productions[a[1]] :
+                    'accept' ;
+
+    return s;
+}
+
+var lrGeneratorDebug = {
+    beforeparseTable: function () {
+        this.trace("Building parse table.");
+    },
+    afterparseTable: function () {
+        var self = this;
+        if (this.conflicts > 0) {
+            this.resolutions.forEach(function (r, i) {
+                if (r[2].bydefault) {
+                    self.warn('Conflict at state: ',r[0], ', token: ',r[1], "\n  ", printAction(r[2].r, self), "\n  ", printAction(r[2].s, self));
+                    if (r[2].counterexample) {
+                        self.warn(printCounterexample(r[2].counterexample));
+                    }
+                }
+            });
+            this.trace("\n"+this.conflicts+" Conflict(s) found in grammar.");
+        }
+        this.trace("Done.");
+    },
+    aftercanonicalCollection: function (states) {
+        var trace = this.trace;
+        trace("\nItem sets\n------");
+
+        states.forEach(function (state, i) {
+            trace("\nitem set",i,"\n"+state.join("\n"), '\ntransitions -> ', JSON.stringify(state.edges));
+        });
+    }
+};
+
+var parser = typal.beget();
+
+generator.createParser = function createParser () {
+
+    var p = eval(this.generateModuleExpr());
+
+    // for debugging
+    p.productions = this.productions;
+
+    var self = this;
+    function bind(method) {
+        return function() {
+            self.lexer = p.lexer;
+            return self[method].apply(self, arguments);
+        };
+    }
+
+    // errors of parsers created in memory are instances of Jison.JisonParseError
+    p.JisonParseError = JisonParseError;
+
+    // backwards compatability
+    p.lexer = this.lexer;
+    p.generate = bind('generate');
+    p.generateAMDModule = bind('generateAMDModule');
+    p.generateModule = bind('generateModule');
+    p.generateCommonJSModule = bind('generateCommonJSModule');
+    p.generateESModule = bind('generateESModule');
+    p.generateUMDModule = bind('generateUMDModule');
+    p.generateTypings = bind('generateTypings');
+    p.serialize = bind('serialize');
+
+    return p;
+};
+
+parser.trace = generator.trace;
+parser.warn = generator.warn;
+parser.error = generator.error;
+
+function traceParseError (err, hash) {
+    this.trace(err);
+}
+
+function parseError (str, hash) {
+    if (hash.recoverable) {
+        this.trace(str);
+    } else {
+        throw new this.JisonParseError(str, hash);
+    }
+}
+
+parser.parseError = lrGeneratorMixin.parseError = parseError;
+
+// creates the class of parse errors, whose source is also emitted in generated
+// modules. Besides the message, errors carry the members of the hash passed to
+// parseError: the offending token and its text and location, the expected
+// terminals, the parser state and whether the error is recoverable
+function defineParseError () {
+    function JisonParseError (message, hash) {
+        hash = hash || {};
+        this.message = message;
+        this.hash = hash;
+        this.text = hash.text;
+        this.token = hash.token;
+        this.line = hash.line;
+        this.loc = hash.loc;
+        this.expected = hash.expected || [];
+        this.state = hash.state;
+        this.recoverable = !!hash.recoverable;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, JisonParseError);
+        } else {
+            this.stack = (new Error(message)).stack;
+        }
+    }
+    JisonParseError.prototype = Object.create(Error.prototype);
+    JisonParseError.prototype.constructor = JisonParseError;
+    JisonParseError.prototype.name = 'JisonParseError';
+    return JisonParseError;
+}
+
+var JisonParseError = Jison.JisonParseError = defineParseError();
+var parseErrorCode = '\nvar JisonParseError = (' + String(defineParseError) + ')();\n';
+
+parser.JisonParseError = JisonParseError;
+
+// parse of the collectErrors mode: the errors reported while parsing are
+// gathered rather than thrown, and returned with the result of the parse,
+// which is left undefined when an error could not be recovered from
+function parseCollectingErrors (input) {
+    var collector = this.errorCollector_();
+    try {
+        return collector.result(this.parse_.apply(collector.parser, arguments));
+    } catch (e) {
+        return collector.failure(e);
+    }
+}
+
+// the errors of one parse in the collectErrors mode: they reach the collector
+// through the copy of yy of a parser of its own, so that this.yy is left as
+// it is and parses nest. result(value) and failure(error) give the
+// {result, diagnostics} of a parse that returned value or threw error
+parser.errorCollector_ = function errorCollector_ () {
+    var yy = {},
+        diagnostics = [],
+        self = this;
+
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        yy[k] = this.yy[k];
+      }
+    }
+    yy.parseError = function (str, hash) {
+        var error = new self.JisonParseError(str, hash);
+        diagnostics.push(error);
+        if (!error.recoverable) {
+            throw error;
+        }
+    };
+    var collecting = Object.create(this);
+    collecting.yy = yy;
+
+    return {
+        parser: collecting,
+        result: function (value) {
+            return {result: value, diagnostics: diagnostics};
+        },
+        failure: function (e) {
+            if (!(e instanceof self.JisonParseError)) {
+                throw e;
+            }
+            // parsing halts while still recovering from the last error reported,
+            // which turned out not to be recoverable
+            var last = diagnostics[diagnostics.length - 1];
+            if (last && last !== e && last.recoverable) {
+                last.recoverable = false;
+            } else if (last !== e) {
+                diagnostics.push(e);
+            }
+            return {result: undefined, diagnostics: diagnostics};
+        }
+    };
+};
+
+parser.parse = function parse (input) {
+    return this.automaton_(Object.create(this.lexer), input, [].slice.call(arguments, 1)).run();
+};
+
+// the LR automaton of parse and of the push parser: sets up the parse of
+// input read by lexer, args being the extra parse parameters, and returns the
+// shared state yy and run(), which runs the parse to its end and returns the
+// result. Tokens are only read before a step changes anything, so when lex()
+// throws for want of input, as in the push parser, run() can be called again
+// to take up the parse where it stopped
+parser.automaton_ = function automaton_ (lexer, input, args) {
+    var self = this,
+        stack = [0],
+        tstack = [], // token stack
+        vstack = [null], // semantic value stack
+        lstack = [], // location stack
+        table = this.table,
+        recovering = 0,
+        TERROR = 2,
+        EOF = 1;
+
+    // names of the symbols, for the events passed to the instrumentation
+    // hooks onShift, onReduce, onError, onRecover and onAccept
+    var names = [];
+    if (this.onShift || this.onReduce || this.onError || this.onRecover || this.onAccept) {
+        for (var name in this.symbols_) {
+            names[this.symbols_[name]] = name;
+        }
+    }
+    function hookEvent (state, symbol, production, fields) {
+        var states;
+        fields.state = state;
+        fields.symbol = names[symbol];
+        fields.production = production;
+        fields.depth = Math.ceil(stack.length / 2);
+        // the states are taken off the stack only when a hook reads them,
+        // which it must do before returning
+        Object.defineProperty(fields, 'states', {
+            enumerable: true,
+            get: function () {
+                return states || (states = stack.filter(function (item, i) { return i % 2 === 0; }));
+            }
+        });
+        return fields;
+    }
+
+    var sharedState = { yy: {} };
+    // copy state
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        sharedState.yy[k] = this.yy[k];
+      }
+    }
+
+    lexer.setInput(input, sharedState.yy);
+    sharedState.yy.lexer = lexer;
+    sharedState.yy.parser = this;
+    if (typeof lexer.yylloc == 'undefined') {
+        lexer.yylloc = {};
+    }
+    var yyloc = lexer.yylloc;
+    lstack.push(yyloc);
+
+    // the last token shifted, for the semantic actions
+    var context = {yytext: '', yyleng: 0, yylineno: 0, yy: sharedState.yy, args: args,
+                   ranges: lexer.options && lexer.options.ranges};
+
+    if (typeof sharedState.yy.parseError === 'function') {
+        this.parseError = sharedState.yy.parseError;
+    } else {
+        this.parseError = Object.getPrototypeOf(this).parseError;
+    }
+
+    function popStack (n) {
+        stack.length = stack.length - 2 * n;
+        vstack.length = vstack.length - n;
+        lstack.length = lstack.length - n;
+    }
+
+_token_stack:
+    var lex = function () {
+        var token;
+        token = lexer.lex() || EOF;
+        // if token isn't its numeric value, convert
+        if (typeof token !== 'number') {
+            token = self.symbols_[token] || token;
+        }
+        return token;
+    }
+
+    var symbol, preErrorSymbol, state, action, a, r, yyval = {}, p, len, newState, expected, reduction;
+    var repairQueue, lexAhead, readingAhead, repairHash;
+    if (this.errorRepair) {
+        // the hashes of the repairs made by the last parse, which the default
+        // parseError merely traces
+        this.repairs = [];
+    }
+
+    function run () {
+        while (true) {
+            // retreive state number from top of stack
+            state = stack[stack.length - 1];
+
+            // use default actions if available
+            if (self.defaultActions[state]) {
+                action = self.defaultActions[state];
+            } else {
+                if (symbol === null || typeof symbol == 'undefined') {
+                    symbol = lex();
+                }
+                // read action for current state and first input
+                action = table[state] && table[state][symbol];
+            }
+
+            // in error repair mode, first try to fix the input by inserting,
+            // deleting or replacing a few tokens
+            if (self.errorRepair && !recovering && (typeof action === 'undefined' || !action.length || !action[0])) {
+                if (!repairQueue) {
+                    // tokens read ahead while looking for a repair are replayed
+                    // by the lexer before it reads any further
+                    repairQueue = [];
+                    lexAhead = lexer.lex;
+                    lexer.lex = function () {
+                        if (!repairQueue.length || readingAhead) {
+                            return lexAhead.call(this);
+                        }
+                        var next = repairQueue.shift();
+                        this.yytext = next.yytext;
+                        this.yyleng = next.yyleng;
+                        this.yylineno = next.yylineno;
+                        this.yylloc = next.yylloc;
+                        this.match = next.match;
+                        return next.token;
+                    };
+                }
+
+                var current = {token: symbol, yytext: lexer.yytext, yyleng: lexer.yyleng, yylineno: lexer.yylineno, yylloc: lexer.yylloc, match: lexer.match};
+                var repair;
+                try {
+                    // the tokens read ahead are kept if lex() throws, for the next try
+                    repair = self.findRepair(stack, [current].concat(repairQueue), function () {
+                        readingAhead = true;
+                        var token = lexAhead.call(lexer) || EOF;
+                        if (typeof token !== 'number') {
+                            token = self.symbols_[token] || token;
+                        }
+                        var next = {token: token, yytext: lexer.yytext, yyleng: lexer.yyleng, yylineno: lexer.yylineno, yylloc: lexer.yylloc, match: lexer.match};
+                        repairQueue.push(next);
+                        return next;
+                    });
+                } finally {
+                    // the lexer is back at the current token
+                    readingAhead = false;
+                    lexer.yytext = current.yytext;
+                    lexer.yyleng = current.yyleng;
+                    lexer.yylineno = current.yylineno;
+                    lexer.yylloc = current.yylloc;
+                    lexer.match = current.match;
+                }
+
+                if (repair) {
+                    expected = [];
+                    for (p in table[state]) {
+                        if (self.terminals_[p] && p > TERROR) {
+                            expected.push("'"+self.terminals_[p]+"'");
+                        }
+                    }
+                    repairHash = {
+                        text: current.match,
+                        token: self.terminals_[symbol] || symbol,
+                        line: current.yylineno,
+                        loc: current.yylloc,
+                        expected: expected,
+                        state: state,
+                        recoverable: true,
+                        repair: repair.edits
+                    };
+                    self.repairs.push(repairHash);
+                    self.parseError('Parse error on line '+(context.yylineno+1)+": Unexpected " +
+                                    (symbol == EOF ? "end of input" : ("'"+(self.terminals_[symbol] || symbol)+"'")) +
+                                    ", repaired by " + repair.edits.map(function (edit) { return edit.description; }).join(', '), repairHash);
+
+                    // parse the repaired tokens instead
+                    repairQueue = repair.tokens;
+                    symbol = null;
+                    continue;
+                }
+            }
+
+_handle_error:
+            // handle parse error
+            if (typeof action === 'undefined' || !action.length || !action[0]) {
+                var error_rule_depth;
+                var errStr = '';
+
+                // Return the rule stack depth where the nearest error rule can be found.
+                // Return FALSE when no error recovery rule was found.
+                function locateNearestErrorRecoveryRule(state) {
+                    var stack_probe = stack.length - 1;
+                    var depth = 0;
+
+                    // try to recover from error
+                    for(;;) {
+                        // check for error recovery rule in this state
+                        if ((TERROR.toString()) in table[state]) {
+                            return depth;
+                        }
+                        if (state === 0 || stack_probe < 2) {
+                            return false; // No suitable error recovery rule available.
+                        }
+                        stack_probe -= 2; // popStack(1): [symbol, action]
+                        state = stack[stack_probe];
+                        ++depth;
+                    }
+                }
+
+                if (!recovering) {
+                    // first see if there's any chance at hitting an error recovery rule:
+                    error_rule_depth = locateNearestErrorRecoveryRule(state);
+
+                    // Report error
+                    expected = [];
+                    for (p in table[state]) {
+                        if (self.terminals_[p] && p > TERROR) {
+                            expected.push("'"+self.terminals_[p]+"'");
+                        }
+                    }
+                    if (lexer.showPosition) {
+                        errStr = 'Parse error on line '+(context.yylineno+1)+":\n"+lexer.showPosition()+"\nExpecting "+expected.join(', ') + ", got '" + (self.terminals_[symbol] || symbol)+ "'";
+                    } else {
+                        errStr = 'Parse error on line '+(context.yylineno+1)+": Unexpected " +
+                                      (symbol == EOF ? "end of input" :
+                                                  ("'"+(self.terminals_[symbol] || symbol)+"'"));
+                    }
+                    if (self.onError) {
+                        self.onError(hookEvent(state, symbol, null, {message: errStr, text: lexer.match, expected: expected}));
+                    }
+                    self.parseError(errStr, {
+                        text: lexer.match,
+                        token: self.terminals_[symbol] || symbol,
+                        line: lexer.yylineno,
+                        loc: lexer.yylloc,
+                        expected: expected,
+                        state: state,
+                        recoverable: (error_rule_depth !== false)
+                    });
+                } else if (preErrorSymbol !== EOF) {
+                    error_rule_depth = locateNearestErrorRecoveryRule(state);
+                }
+
+                // just recovered from another error
+                if (recovering == 3) {
+                    if (symbol === EOF || preErrorSymbol === EOF) {
+                        throw new self.JisonParseError(errStr || 'Parsing halted while starting to recover from another error.', {
+                            text: lexer.match, token: self.terminals_[symbol] || symbol, line: lexer.yylineno,
+                            loc: lexer.yylloc, expected: expected, state: state, recoverable: false
+                        });
+                    }
+
+                    // discard current lookahead and grab another
+                    context.yyleng = lexer.yyleng;
+                    context.yytext = lexer.yytext;
+                    context.yylineno = lexer.yylineno;
+                    yyloc = lexer.yylloc;
+                    symbol = lex();
+                }
+
+                // try to recover from error
+                if (error_rule_depth === false) {
+                    throw new self.JisonParseError(errStr || 'Parsing halted. No suitable error recovery rule available.', {
+                        text: lexer.match, token: self.terminals_[symbol] || symbol, line: lexer.yylineno,
+                        loc: lexer.yylloc, expected: expected, state: state, recoverable: false
+                    });
+                }
+                popStack(error_rule_depth);
+
+                preErrorSymbol = (symbol == TERROR ? null : symbol); // save the lookahead token
+                symbol = TERROR;         // insert generic error symbol as new lookahead
+                state = stack[stack.length-1];
+                action = table[state] && table[state][TERROR];
+                recovering = 3; // allow 3 real symbols to be shifted before reporting a new error
+                if (self.onRecover) {
+                    self.onRecover(hookEvent(state, preErrorSymbol, null, {popped: error_rule_depth}));
+                }
+            }
+
+            // this shouldn't happen, unless resolve defaults are off
+            if (action[0] instanceof Array && action.length > 1) {
+                throw new Error('Parse Error: multiple actions possible at state: '+state+', token: '+symbol);
+            }
+
+            switch (action[0]) {
+                case 1: // shift
+                    stack.push(symbol);
+                    vstack.push(lexer.yytext);
+                    lstack.push(lexer.yylloc);
+                    stack.push(action[1]); // push state
+                    if (self.onShift) {
+                        self.onShift(hookEvent(state, symbol, null, {text: lexer.yytext, next: action[1]}));
+                    }
+                    symbol = null;
+                    if (!preErrorSymbol) { // normal execution/no error
+                        context.yyleng = lexer.yyleng;
+                        context.yytext = lexer.yytext;
+                        context.yylineno = lexer.yylineno;
+                        yyloc = lexer.yylloc;
+                        if (recovering > 0) {
+                            recovering--;
+                        }
+                    } else {
+                        // error just occurred, resume old lookahead f/ before error
+                        symbol = preErrorSymbol;
+                        preErrorSymbol = null;
+                    }
+                    break;
+
+                case 2:
+                    // reduce
+                    len = self.productions_[action[1]][1];
+                    if (self.onReduce) {
+                        reduction = {lhs: names[self.productions_[action[1]][0]], rhs: [], values: vstack.slice(vstack.length - len)};
+                        for (p = stack.length - 2 * len; p < stack.length; p += 2) {
+                            reduction.rhs.push(names[stack[p]]);
+                        }
+                    }
+
+                    r = self.reduce_(yyval, action[1], vstack, lstack, context);
+
+                    if (typeof r !== 'undefined') {
+                        if (self.onReduce) {
+                            reduction.value = yyval.$;
+                            self.onReduce(hookEvent(state, symbol, action[1], reduction));
+                        }
+                        if (self.onAccept) {
+                            self.onAccept(hookEvent(state, symbol, action[1], {value: r}));
+                        }
+                        return r;
+                    }
+
+                    // pop off stack
+                    if (len) {
+                        stack = stack.slice(0,-1*len*2);
+                        vstack = vstack.slice(0, -1*len);
+                        lstack = lstack.slice(0, -1*len);
+                    }
+
+                    stack.push(self.productions_[action[1]][0]);    // push nonterminal (reduce)
+                    vstack.push(yyval.$);
+                    lstack.push(yyval._$);
+                    // goto new state = table[STATE][NONTERMINAL]
+                    newState = table[stack[stack.length-2]][stack[stack.length-1]];
+                    stack.push(newState);
+                    if (self.onReduce) {
+                        reduction.value = yyval.$;
+                        reduction.next = newState;
+                        self.onReduce(hookEvent(state, symbol, action[1], reduction));
+                    }
+                    break;
+
+                case 3:
+                    // accept, with the tree of the start symbol in tree building mode
+                    r = self.buildTree ? vstack[1] : true;
+                    if (self.onAccept) {
+                        self.onAccept(hookEvent(state, symbol, null, {value: r}));
+                    }
+                    return r;
+            }
+
+        }
+
+        return true;
+    }
+
+    return {yy: sharedState.yy, run: run};
+};
+
+// reduces by production the handle whose values and locations end vstack and
+// lstack: $$ defaults to the value of its first symbol and @$ to its span, and
+// the semantic action runs with what context holds of the last token shifted,
+// the shared state and the extra parse parameters. Returns what the action
+// returned, which ends the parse unless undefined
+parser.reduce_ = function reduce_ (yyval, production, vstack, lstack, context) {
+    var len = this.productions_[production][1];
+
+    // perform semantic action
+    yyval.$ = vstack[vstack.length-len]; // default to $$ = $1
+    // default location, uses first token for firsts, last for lasts
+    yyval._$ = {
+        first_line: lstack[lstack.length-(len||1)].first_line,
+        last_line: lstack[lstack.length-1].last_line,
+        first_column: lstack[lstack.length-(len||1)].first_column,
+        last_column: lstack[lstack.length-1].last_column
+    };
+    if (context.ranges) {
+      yyval._$.range = [lstack[lstack.length-(len||1)].range[0], lstack[lstack.length-1].range[1]];
+    }
+    return this.performAction.apply(yyval, [context.yytext, context.yyleng, context.yylineno, context.yy, production, vstack, lstack].concat(context.args));
+};
+
+// runs the automaton over the stack of states on symbol, without semantic
+// actions: returns the states after shifting it, true if it is accepted, or
+// null on error. visit, if given, is called with each state consulted
+parser.simulate = function simulate (states, symbol, visit) {
+    var table = this.table;
+    states = states.slice(0);
+    while (true) {
+        var state = states[states.length - 1];
+        if (visit) {
+            visit(state);
+        }
+        var action = this.defaultActions[state] || (table[state] && table[state][symbol]);
+        if (typeof action === 'undefined' || !action.length || !action[0]) {
+            return null;
+        }
+        if (action[0] instanceof Array) {
+            action = action[0];
+        }
+        switch (action[0]) {
+            case 1:
+                states.push(action[1]);
+                return states;
+            case 2:
+                states.length -= this.productions_[action[1]][1];
+                states.push(table[states[states.length - 1]][this.productions_[action[1]][0]]);
+                break;
+            case 3:
+                return true;
+        }
+    }
+};
+
+// what may come next at offset in input, for completion in editors: the
+// tokens lexed entirely before offset are run through the automaton, then
+// returns the terminals valid in the resulting state and the nonterminals
+// predicted by the items of the states leading to them, or null when the
+// input before offset has a syntax error
+parser.expectedAt = function expectedAt (input, offset) {
+    var self = this,
+        states = [0],
+        TERROR = 2,
+        EOF = 1;
+
+    var lexer = Object.create(this.lexer);
+    var sharedState = { yy: {} };
+    // copy state
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        sharedState.yy[k] = this.yy[k];
+      }
+    }
+
+    lexer.setInput(input, sharedState.yy);
+    sharedState.yy.lexer = lexer;
+    sharedState.yy.parser = this;
+
+    while (true) {
+        var token = lexer.lex() || EOF;
+        // if token isn't its numeric value, convert
+        if (typeof token !== 'number') {
+            token = self.symbols_[token] || token;
+        }
+        var end = lexer.matched.length;
+        if (token === EOF || end > offset || end - lexer.match.length >= offset) {
+            break;
+        }
+        states = this.simulate(states, token);
+        if (!states) {
+            return null;
+        }
+    }
+
+    var terminals = [],
+        nonterminals = [],
+        predicted = {};
+
+    function predict (state) {
+        (self.predictions_[state] || []).forEach(function (symbol) {
+            if (!predicted[symbol]) {
+                predicted[symbol] = true;
+                nonterminals.push(symbol);
+            }
+        });
+    }
+
+    function offer (symbol, name) {
+        var visited = [];
+        if (self.simulate(states, symbol, function (state) { visited.push(state); })) {
+            terminals.push(name);
+            visited.forEach(predict);
+        }
+    }
+
+    for (var p in this.terminals_) {
+        if (Number(p) !== TERROR) {
+            offer(Number(p), this.terminals_[p]);
+        }
+    }
+    // the end of input has no entry in terminals_
+    offer(EOF, '$end');
+    predict(states[states.length - 1]);
+
+    return {terminals: terminals, nonterminals: nonterminals, state: states[states.length - 1]};
+};
+
+// least-cost repair of the input at a parse error, in the style of
+// Burke-Fisher: looks, by increasing number of edits, for token insertions,
+// deletions and replacements after which the next few tokens parse. tokens
+// holds the current token and the ones read ahead, read() reads another.
+// Returns the edits and the repaired tokens, or null if nothing fits
+parser.findRepair = function findRepair (stack, tokens, read) {
+    var self = this,
+        MAX_EDITS = 3,   // repairs are at most this many edits
+        PARSE_AHEAD = 3, // tokens to shift after the last edit
+        TERROR = 2,
+        EOF = 1;
+
+    function tokenAt (position) {
+        while (position >= tokens.length && tokens[tokens.length - 1].token !== EOF) {
+            tokens.push(read());
+        }
+        return tokens[position];
+    }
+
+    function name (symbol) {
+        return self.terminals_[symbol] || symbol;
+    }
+
+    // inserted tokens have an empty location where the next token starts
+    function inserted (symbol, before) {
+        var loc = before.yylloc || {};
+        var yylloc = {first_line: loc.first_line, last_line: loc.first_line, first_column: loc.first_column, last_column: loc.first_column};
+        if (loc.range) {
+            yylloc.range = [loc.range[0], loc.range[0]];
+        }
+        return {token: symbol, yytext: '', yyleng: 0, yylineno: before.yylineno, yylloc: yylloc, match: ''};
+    }
+
+    var terminals = [];
+    for (var t in this.terminals_) {
+        if (Number(t) !== TERROR && Number(t) !== EOF) {
+            terminals.push(Number(t));
+        }
+    }
+
+    var states = stack.filter(function (entry, i) { return i % 2 === 0; });
+
+    // configurations of the simulated parser, by number of edits
+    var queues = [[{states: states, position: 0, output: [], edits: [], shifted: 0}]];
+
+    for (var cost = 0; cost <= MAX_EDITS; cost++) {
+        var queue = queues[cost] || [];
+        for (var i = 0; i < queue.length; i++) {
+            var config = queue[i];
+            var token = tokenAt(config.position);
+            var next = self.simulate(config.states, token.token);
+
+            if (config.shifted >= PARSE_AHEAD || next === true) {
+                return {edits: config.edits, tokens: config.output.concat(tokens.slice(config.position))};
+            }
+
+            // shifting the input as is costs nothing
+            if (next) {
+                queue.push({states: next, position: config.position + 1, output: config.output.concat(token),
+                            edits: config.edits, shifted: config.shifted + 1});
+            }
+
+            if (cost === MAX_EDITS) continue;
+            var edited = queues[cost + 1] = queues[cost + 1] || [];
+
+            terminals.forEach(function (symbol) {
+                var next = self.simulate(config.states, symbol);
+                if (!next || next === true) return;
+                var insertion = inserted(symbol, token);
+                edited.push({states: next, position: config.position, output: config.output.concat(insertion), edits: config.edits.concat({
+                    type: 'insert',
+                    token: name(symbol),
+                    loc: insertion.yylloc,
+                    description: "inserting '" + name(symbol) + "'"
+                }), shifted: 0});
+                if (token.token !== EOF && symbol !== token.token) {
+                    var replacement = Object.create(token);
+                    replacement.token = symbol;
+                    edited.push({states: next, position: config.position + 1, output: config.output.concat(replacement), edits: config.edits.concat({
+                        type: 'replace',
+                        token: name(token.token),
+                        text: token.match,
+                        replacement: name(symbol),
+                        loc: token.yylloc,
+                        description: "replacing '" + name(token.token) + "' with '" + name(symbol) + "'"
+                    }), shifted: 0});
+                }
+            });
+
+            if (token.token !== EOF) {
+                edited.push({states: config.states, position: config.position + 1, output: config.output, edits: config.edits.concat({
+                    type: 'delete',
+                    token: name(token.token),
+                    text: token.match,
+                    loc: token.yylloc,
+                    description: "deleting '" + name(token.token) + "'"
+                }), shifted: 0});
+            }
+        }
+    }
+
+    return null;
+};
+
+// incremental parsing for editors: parses input like parse, but returns a
+// record of the parse, {input, result, tokens, nodes, stats}, which
+// reparse(record, edit) brings up to date after an edit {start, deleted,
+// inserted} of the input. Each token keeps the state of the lexer before it and
+// the stack of the parser when it was read, the stack being a list of nodes
+// sharing their tails, so that reparsing restarts a token before the edit.
+// Past the edit, once the lexer is back at a token boundary of the previous
+// parse, the old tokens are reused, moved along with the text, and so are the
+// nonterminals made of them when the parser shifts them in the state it did
+// then, in the style of Wagner and Graham. Reused nonterminals keep the values
+// computed by the previous parse, so semantic actions should be free of side
+// effects and of locations, except for the trees of tree building mode, which
+// are moved too; the lexer must be a jison lexer, whose state is restored.
+// Extra parse parameters follow edit, as they follow input in parse
+parser.parseIncremental = function parseIncremental (input, previous, edit) {
+    var self = this,
+        table = this.table,
+        TERROR = 2,
+        EOF = 1;
+
+    var lexer = Object.create(this.lexer);
+    var sharedState = { yy: {} };
+    // copy state
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        sharedState.yy[k] = this.yy[k];
+      }
+    }
+
+    lexer.setInput(input, sharedState.yy);
+    sharedState.yy.lexer = lexer;
+    sharedState.yy.parser = this;
+    if (typeof lexer.yylloc == 'undefined') {
+        lexer.yylloc = {};
+    }
+
+    // the last token shifted, for the semantic actions
+    var context = {yytext: '', yyleng: 0, yylineno: 0, yy: sharedState.yy, args: [].slice.call(arguments, 3),
+                   ranges: lexer.options && lexer.options.ranges};
+
+    if (typeof sharedState.yy.parseError === 'function') {
+        this.parseError = sharedState.yy.parseError;
+    } else {
+        this.parseError = Object.getPrototypeOf(this).parseError;
+    }
+
+    var tokens = [], // tokens of this parse, as records
+        nodes = [],  // nonterminals of this parse, by index of their first token
+        stats = {relexed: 0, reusedTokens: 0, reusedNodes: 0},
+        stack = {state: 0, value: null, loc: lexer.yylloc, below: null, first: 0, last: 0, depth: 1},
+        yyval = {},
+        old = [],
+        oldEnd, newEnd, delta, editEnd,
+        next = 0,     // index in old of the next token of the previous parse past the edit
+        suffix = -1,  // difference between new and old indices of the reused tokens
+        lookahead = null,
+        action, len, r;
+
+    if (previous && previous.tokens.length) {
+        old = previous.tokens;
+        editEnd = edit.start + edit.deleted;
+        delta = edit.inserted.length - edit.deleted;
+        oldEnd = endOf(previous.input.slice(0, editEnd));
+        newEnd = endOf(input.slice(0, edit.start + edit.inserted.length));
+
+        // restart a token before the first one touching the edit, at a token
+        // whose stack was saved
+        var restart = 0;
+        while (restart < old.length && old[restart].end < edit.start) {
+            restart++;
+        }
+        restart = Math.max(restart - 1, 0);
+        while (restart > 0 && !old[restart].stack) {
+            restart--;
+        }
+        next = restart;
+
+        tokens = old.slice(0, restart);
+        previous.nodes.slice(0, restart).forEach(function (list, i) {
+            nodes[i] = list.filter(function (node) { return node.last <= restart; });
+        });
+        stack = old[restart].stack;
+        if (restart > 0) {
+            context.yytext = old[restart - 1].yytext;
+            context.yyleng = old[restart - 1].yyleng;
+            context.yylineno = old[restart - 1].yylineno;
+        }
+
+        lexer._input = input.slice(old[restart].from);
+        lexer.matched = input.slice(0, old[restart].from);
+        lexer.offset = old[restart].from;
+        lexer.yylineno = old[restart].lexState.yylineno;
+        lexer.yylloc = old[restart].lexState.yylloc;
+        lexer.conditionStack = old[restart].lexState.conditionStack.slice(0);
+    }
+
+    // names of the symbols, for the events passed to the instrumentation
+    // hooks onShift, onReduce, onError and onAccept
+    var names = [];
+    if (this.onShift || this.onReduce || this.onError || this.onAccept) {
+        for (var name in this.symbols_) {
+            names[this.symbols_[name]] = name;
+        }
+    }
+    function hookEvent (state, symbol, production, fields) {
+        var states,
+            top = stack;
+        fields.state = state;
+        fields.symbol = names[symbol];
+        fields.production = production;
+        fields.depth = top.depth;
+        Object.defineProperty(fields, 'states', {
+            enumerable: true,
+            get: function () {
+                if (!states) {
+                    states = [];
+                    for (var node = top; node; node = node.below) {
+                        states.push(node.state);
+                    }
+                    states.reverse();
+                }
+                return states;
+            }
+        });
+        return fields;
+    }
+
+    // line and column at the end of text
+    function endOf (text) {
+        var lines = text.split(/\r\n?|\n/);
+        return {line: lines.length, column: lines[lines.length - 1].length};
+    }
+
+    // location of the previous parse past the edit, moved along with the text
+    function relocate (loc) {
+        var moved = {
+            first_line: loc.first_line + newEnd.line - oldEnd.line,
+            last_line: loc.last_line + newEnd.line - oldEnd.line,
+            first_column: loc.first_line === oldEnd.line ? loc.first_column - oldEnd.column + newEnd.column : loc.first_column,
+            last_column: loc.last_line === oldEnd.line ? loc.last_column - oldEnd.column + newEnd.column : loc.last_column
+        };
+        if (loc.range) {
+            moved.range = [loc.range[0] + delta, loc.range[1] + delta];
+        }
+        return moved;
+    }
+
+    // tree of the previous parse past the edit, in tree building mode; values
+    // of user actions are left as they are
+    function relocateTree (node) {
+        if (!node || !node.loc || typeof node.symbol !== 'string') {
+            return node;
+        }
+        if (node.children instanceof Array) {
+            return {symbol: node.symbol, production: node.production, children: node.children.map(relocateTree), loc: relocate(node.loc)};
+        }
+        return {symbol: node.symbol, text: node.text, loc: relocate(node.loc)};
+    }
+
+    // token of the previous parse past the edit, moved along with the text
+    function moved (record) {
+        return {
+            token: record.token,
+            yytext: record.yytext,
+            yyleng: record.yyleng,
+            yylineno: record.yylineno + newEnd.line - oldEnd.line,
+            yylloc: relocate(record.yylloc),
+            match: record.match,
+            from: record.from + delta,
+            start: record.start + delta,
+            end: record.end + delta,
+            lexState: {
+                conditionStack: record.lexState.conditionStack,
+                yylineno: record.lexState.yylineno + newEnd.line - oldEnd.line,
+                yylloc: relocate(record.lexState.yylloc)
+            },
+            stack: null
+        };
+    }
+
+    function sameConditions (a, b) {
+        return a.length === b.length && a.every(function (condition, i) { return condition === b[i]; });
+    }
+
+    // reads the next token: lexed until the lexer gets back to where it was
+    // in the previous parse, then taken from the previous parse
+    function read () {
+        var record,
+            from = lexer.matched.length;
+        if (suffix === -1 && next < old.length && !lexer._more) {
+            while (next < old.length && old[next].from < from - delta) {
+                next++;
+            }
+            if (from - delta >= editEnd && next < old.length && old[next].from === from - delta &&
+                    sameConditions(old[next].lexState.conditionStack, lexer.conditionStack)) {
+                suffix = tokens.length - next;
+                record = moved(old[next]);
+                record.lexState = {conditionStack: lexer.conditionStack.slice(0), yylineno: lexer.yylineno, yylloc: lexer.yylloc};
+            }
+        } else if (suffix !== -1) {
+            if (tokens.length - suffix < old.length) {
+                record = moved(old[tokens.length - suffix]);
+            } else {
+                // the previous parse ended early: lex on after its last token
+                var last = tokens[tokens.length - 1];
+                from = last.end;
+                lexer._input = input.slice(from);
+                lexer.matched = input.slice(0, from);
+                lexer.offset = from;
+                lexer.yylineno = last.yylineno;
+                lexer.yylloc = last.yylloc;
+                lexer.conditionStack = last.lexState.conditionStack.slice(0);
+                suffix = -1;
+                next = old.length;
+            }
+        }
+
+        if (record) {
+            stats.reusedTokens++;
+        } else {
+            var lexState = {conditionStack: lexer.conditionStack.slice(0), yylineno: lexer.yylineno, yylloc: lexer.yylloc};
+            var token = lexer.lex() || EOF;
+            // if token isn't its numeric value, convert
+            if (typeof token !== 'number') {
+                token = self.symbols_[token] || token;
+            }
+            record = {
+                token: token,
+                yytext: lexer.yytext,
+                yyleng: lexer.yyleng,
+                yylineno: lexer.yylineno,
+                yylloc: lexer.yylloc,
+                match: lexer.match,
+                from: from,
+                start: lexer.matched.length - lexer.match.length,
+                end: lexer.matched.length,
+                lexState: lexState,
+                stack: null
+            };
+            stats.relexed++;
+        }
+        tokens.push(record);
+        return record;
+    }
+
+    // past the edit, shifts instead of the lookahead the largest nonterminal of
+    // the previous parse starting with it, if the parser is in the state it was
+    // shifted over then
+    function reuse () {
+        var index = tokens.length - 1 - suffix,
+            candidates = previous.nodes[index] || [];
+        for (var c = candidates.length - 1; c >= 0; c--) {
+            var node = candidates[c];
+            if (node.below.state !== stack.state) continue;
+
+            var first = tokens.length - 1;
+            for (var t = index + 1; t < node.last; t++) {
+                tokens.push(moved(old[t]));
+            }
+            stats.reusedTokens += node.last - index - 1;
+            stats.reusedNodes++;
+
+            var last = tokens[tokens.length - 1];
+            context.yytext = last.yytext;
+            context.yyleng = last.yyleng;
+            context.yylineno = last.yylineno;
+
+            var state = stack.state;
+            stack = {state: table[stack.state][node.symbol], symbol: node.symbol, loc: relocate(node.loc),
+                     value: self.buildTree ? relocateTree(node.value) : node.value,
+                     below: stack, first: first, last: tokens.length, depth: stack.depth + 1};
+            (nodes[first] = nodes[first] || []).push(stack);
+            if (self.onShift) {
+                self.onShift(hookEvent(state, node.symbol, null, {value: stack.value, reused: true, next: stack.state}));
+            }
+            return true;
+        }
+        return false;
+    }
+
+    while (true) {
+        var state = stack.state;
+
+        // use default actions if available
+        if (this.defaultActions[state]) {
+            action = this.defaultActions[state];
+        } else {
+            if (!lookahead) {
+                lookahead = read();
+                lookahead.stack = stack;
+            }
+            action = table[state] && table[state][lookahead.token];
+        }
 
-_handle_error:
-        // handle parse error
         if (typeof action === 'undefined' || !action.length || !action[0]) {
-            var error_rule_depth;
-            var errStr = '';
+            var expected = [];
+            for (var p in table[state]) {
+                if (this.terminals_[p] && p > TERROR) {
+                    expected.push("'"+this.terminals_[p]+"'");
+                }
+            }
+            var errStr = 'Parse error on line '+(lookahead.yylineno+1)+": Unexpected " +
+                          (lookahead.token == EOF ? "end of input" :
+                                      ("'"+(this.terminals_[lookahead.token] || lookahead.token)+"'"));
+            if (this.onError) {
+                this.onError(hookEvent(state, lookahead.token, null, {message: errStr, text: lookahead.match, expected: expected}));
+            }
+            var hash = {
+                text: lookahead.match,
+                token: this.terminals_[lookahead.token] || lookahead.token,
+                line: lookahead.yylineno,
+                loc: lookahead.yylloc,
+                expected: expected,
+                state: state,
+                recoverable: false
+            };
+            this.parseError(errStr, hash);
+            throw new this.JisonParseError(errStr, hash);
+        }
+
+        // this shouldn't happen, unless resolve defaults are off
+        if (action[0] instanceof Array && action.length > 1) {
+            throw new Error('Parse Error: multiple actions possible at state: '+state+', token: '+lookahead.token);
+        }
+
+        switch (action[0]) {
+            case 1: // shift
+                if (suffix !== -1 && reuse()) {
+                    lookahead = null;
+                    break;
+                }
+                stack = {state: action[1], symbol: lookahead.token, value: lookahead.yytext, loc: lookahead.yylloc,
+                         below: stack, first: tokens.length - 1, last: tokens.length, depth: stack.depth + 1};
+                if (this.onShift) {
+                    this.onShift(hookEvent(state, lookahead.token, null, {text: lookahead.yytext, next: action[1]}));
+                }
+                context.yytext = lookahead.yytext;
+                context.yyleng = lookahead.yyleng;
+                context.yylineno = lookahead.yylineno;
+                lookahead = null;
+                break;
+
+            case 2: // reduce
+                len = this.productions_[action[1]][1];
+
+                // values and locations of the handle, after the symbol below it
+                var values = [], locs = [], below = stack, first, reduction;
+                if (this.onReduce) {
+                    reduction = {lhs: names[this.productions_[action[1]][0]], rhs: [], values: []};
+                }
+                for (var n = 0; n < len; n++) {
+                    values.unshift(below.value);
+                    locs.unshift(below.loc);
+                    if (reduction) {
+                        reduction.rhs.unshift(names[below.symbol]);
+                        reduction.values.unshift(below.value);
+                    }
+                    first = below.first;
+                    below = below.below;
+                }
+                values.unshift(below.value);
+                locs.unshift(below.loc);
+                if (!len) {
+                    first = tokens.length - (lookahead ? 1 : 0);
+                }
+
+                r = this.reduce_(yyval, action[1], values, locs, context);
+
+                if (typeof r !== 'undefined') {
+                    if (this.onReduce) {
+                        reduction.value = yyval.$;
+                        this.onReduce(hookEvent(state, lookahead && lookahead.token, action[1], reduction));
+                    }
+                    if (this.onAccept) {
+                        this.onAccept(hookEvent(state, lookahead && lookahead.token, action[1], {value: r}));
+                    }
+                    return {input: input, result: r, tokens: tokens, nodes: nodes, stats: stats};
+                }
+
+                stack = {state: table[below.state][this.productions_[action[1]][0]], symbol: this.productions_[action[1]][0],
+                         value: yyval.$, loc: yyval._$, below: below, first: first, last: len ? stack.last : first,
+                         depth: below.depth + 1};
+                if (len) {
+                    (nodes[first] = nodes[first] || []).push(stack);
+                }
+                if (this.onReduce) {
+                    reduction.value = yyval.$;
+                    reduction.next = stack.state;
+                    this.onReduce(hookEvent(state, lookahead && lookahead.token, action[1], reduction));
+                }
+                break;
+
+            case 3:
+                // accept, with the tree of the start symbol in tree building mode
+                var start = stack;
+                while (start.below.below) {
+                    start = start.below;
+                }
+                r = this.buildTree ? start.value : true;
+                if (this.onAccept) {
+                    this.onAccept(hookEvent(state, lookahead && lookahead.token, null, {value: r}));
+                }
+                return {input: input, result: r, tokens: tokens, nodes: nodes, stats: stats};
+        }
+    }
+};
+
+// parses input after an edit {start, deleted, inserted} of the input of a
+// previous parseIncremental, reusing what the edit left untouched; extra
+// parse parameters follow edit
+parser.reparse = function reparse (previous, edit) {
+    var input = previous.input.slice(0, edit.start) + edit.inserted + previous.input.slice(edit.start + edit.deleted);
+    return this.parseIncremental.apply(this, [input, previous, edit].concat([].slice.call(arguments, 2)));
+};
+
+// push mode: instead of pulling tokens from this.lexer, the parser is fed one
+// token at a time with push(token, value, loc), and the automaton of parse
+// runs as far as the tokens pushed take it; push returns false once the parse
+// is over, and end() marks the end of input and returns what parse would.
+// Locations carry ranges when those of this.lexer do
+parser.createPushParser = function createPushParser () {
+    var self = this,
+        pending = [], // tokens pushed that the automaton has yet to read
+        waiting = {}, // thrown by lex() when the automaton needs another token
+        ended = false,
+        done = false,
+        result,
+        EOF = 1;
+
+    var ranges = this.lexer && this.lexer.options && this.lexer.options.ranges;
+    var last = {yytext: '', yyleng: 0, yylineno: 0, yylloc: {first_line: 1, first_column: 0, last_line: 1, last_column: 0}};
+    if (ranges) {
+        last.yylloc.range = [0, 0];
+    }
+
+    // lexer of the automaton, reading the tokens pushed
+    var lexer = {
+        options: {ranges: ranges},
+        yylloc: last.yylloc,
+        setInput: function () {
+            return this;
+        },
+        lex: function () {
+            if (!pending.length) {
+                if (ended) {
+                    return EOF;
+                }
+                throw waiting;
+            }
+            var next = pending.shift();
+            this.yytext = this.match = next.yytext;
+            this.yyleng = next.yyleng;
+            this.yylineno = next.yylineno;
+            this.yylloc = next.yylloc;
+            return next.token;
+        }
+    };
+
+    var collector = this.collectErrors && this.errorCollector_(),
+        automaton = (collector ? collector.parser : this).automaton_(lexer, '', [].slice.call(arguments));
+
+    function resume () {
+        try {
+            result = automaton.run();
+            if (collector) {
+                result = collector.result(result);
+            }
+        } catch (e) {
+            if (e === waiting) {
+                return;
+            }
+            if (!collector) {
+                throw e;
+            }
+            result = collector.failure(e);
+        }
+        done = true;
+    }
+
+    return {
+        yy: automaton.yy,
+
+        // token is a terminal's name or number, value its semantic value ($1 etc.)
+        push: function push (token, value, loc) {
+            if (done) {
+                throw new Error('Cannot push tokens after the parse has finished');
+            }
+            // if token isn't its numeric value, convert
+            if (typeof token !== 'number') {
+                token = self.symbols_[token] || token;
+            }
+            value = typeof value === 'undefined' ? '' : value;
+            loc = loc || last.yylloc;
+            last = {
+                token: token,
+                yytext: value,
+                yyleng: typeof value === 'string' ? value.length : 0,
+                yylineno: typeof loc.last_line === 'number' ? loc.last_line - 1 : last.yylineno,
+                yylloc: loc
+            };
+            pending.push(last);
+            resume();
+            return !done;
+        },
+
+        end: function end () {
+            if (!done) {
+                ended = true;
+                resume();
+            }
+            return result;
+        }
+    };
+};
+
+// asynchronous parse, built on the push parser: the lexer's lex() may return a
+// promise of the token, and when this.yieldEvery is set the parser yields to
+// the event loop after that many tokens. Returns a promise of what parse
+// would return, {result, diagnostics} in the collectErrors mode
+parser.parseAsync = function parseAsync (input) {
+    var self = this,
+        push = this.createPushParser.apply(this, [].slice.call(arguments, 1)),
+        lexer = Object.create(this.lexer),
+        yieldEvery = this.yieldEvery,
+        count = 0,
+        EOF = 1;
+
+    lexer.setInput(input, push.yy);
+    push.yy.lexer = lexer;
+    if (typeof lexer.yylloc == 'undefined') {
+        lexer.yylloc = {};
+    }
+
+    return new Promise(function (resolve, reject) {
+        // feeds tokens to the parser until the lexer or the scheduler makes it wait
+        function run (resumed, token) {
+            try {
+                while (true) {
+                    if (!resumed) {
+                        token = lexer.lex();
+                        if (token && typeof token.then === 'function') {
+                            token.then(function (token) { run(true, token); }, reject);
+                            return;
+                        }
+                    }
+                    resumed = false;
+
+                    // if token isn't its numeric value, convert
+                    if (typeof token !== 'number') {
+                        token = self.symbols_[token] || token;
+                    }
+                    if (!token || token === EOF || !push.push(token, lexer.yytext, lexer.yylloc)) {
+                        resolve(push.end());
+                        return;
+                    }
+
+                    if (yieldEvery && ++count % yieldEvery === 0) {
+                        setTimeout(run, 0);
+                        return;
+                    }
+                }
+            } catch (e) {
+                reject(e);
+            }
+        }
+        run();
+    });
+};
+
+// installs instrumentation hooks that print each step of the parse in the
+// style of Bison's YYDEBUG traces, through print (console.log by default)
+parser.traceSteps = function traceSteps (print) {
+    var self = this,
+        announced = false; // the lookahead was printed
+
+    print = print || function (line) { console.log(line); };
+
+    function show (value) {
+        var text;
+        try {
+            text = JSON.stringify(value);
+        } catch (e) {}
+        text = typeof text === 'string' ? text : String(value);
+        return text.length > 40 ? text.slice(0, 37) + '...' : text;
+    }
+    function kind (symbol) {
+        return self.terminals_[self.symbols_[symbol]] ? 'token' : 'nterm';
+    }
+    function lookahead (event) {
+        if (!announced && event.symbol !== undefined) {
+            print('Next token is token ' + event.symbol);
+            announced = true;
+        }
+    }
+
+    this.onShift = function (event) {
+        lookahead(event);
+        print('Shifting ' + kind(event.symbol) + ' ' + event.symbol + ' (' + show(event.reused ? event.value : event.text) + ')');
+        print('Entering state ' + event.next);
+        announced = false;
+    };
+    this.onReduce = function (event) {
+        lookahead(event);
+        print('Reducing stack by rule ' + event.production + ' (' + event.lhs + ': ' + (event.rhs.join(' ') || 'ε') + '):');
+        event.rhs.forEach(function (symbol, i) {
+            print('   $' + (i + 1) + ' = ' + kind(symbol) + ' ' + symbol + ' (' + show(event.values[i]) + ')');
+        });
+        print('-> $$ = nterm ' + event.lhs + ' (' + show(event.value) + ')');
+        if (event.next !== undefined) {
+            print('Stack now ' + event.states.slice(0, -1).join(' '));
+            print('Entering state ' + event.next);
+        }
+    };
+    this.onError = function (event) {
+        lookahead(event);
+        print('Error in state ' + event.state + ', expecting ' + (event.expected.join(', ') || 'nothing'));
+    };
+    this.onRecover = function (event) {
+        print('Error: popping ' + event.popped + (event.popped === 1 ? ' state' : ' states'));
+        print('Stack now ' + event.states.join(' '));
+        announced = true; // the error token is next
+    };
+    this.onAccept = function (event) {
+        print('Stack now ' + event.states.join(' '));
+        print('Accepted (' + show(event.value) + ')');
+    };
+    return this;
+};
+
+parser.init = function parser_init (dict) {
+    this.table = dict.table;
+    this.defaultActions = dict.defaultActions;
+    this.predictions_ = dict.predictions_;
+    this.performAction = dict.performAction;
+    this.productions_ = dict.productions_;
+    this.symbols_ = dict.symbols_;
+    this.terminals_ = dict.terminals_;
+    this.handles_ = dict.handles_;
+};
+
+/*
+ * GLR runtime
+ * */
+
+var glrParser = typal.beget(parser);
+
+// generalized LR parser: every action of a conflicted cell is followed on a
+// graph-structured stack, whose links carry the nodes of a shared packed parse
+// forest. Semantic actions run once the input is accepted; where the forest is
+// ambiguous, yy.merge(first, second, symbol) combines the values of the
+// alternatives, and without a merge function the forest itself is returned.
+//
+// Forest nodes are {symbol, start, end, alternatives: [{production, children}]}
+// and tokens are {symbol, start, end, text, loc}, start and end being token positions.
+glrParser.parse = function parse (input) {
+    var self = this,
+        table = this.table,
+        productions = this.productions_,
+        names = [],
+        TERROR = 2,
+        EOF = 1;
+
+    var args = names.slice.call(arguments, 1);
+
+    var lexer = Object.create(this.lexer);
+    var sharedState = { yy: {} };
+    // copy state
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        sharedState.yy[k] = this.yy[k];
+      }
+    }
+
+    lexer.setInput(input, sharedState.yy);
+    sharedState.yy.lexer = lexer;
+    sharedState.yy.parser = this;
+    if (typeof lexer.yylloc == 'undefined') {
+        lexer.yylloc = {};
+    }
+
+    var ranges = lexer.options && lexer.options.ranges;
+
+    if (typeof sharedState.yy.parseError === 'function') {
+        this.parseError = sharedState.yy.parseError;
+    } else {
+        this.parseError = Object.getPrototypeOf(this).parseError;
+    }
+
+    for (k in this.symbols_) {
+        names[this.symbols_[k]] = k;
+    }
+
+    function lex () {
+        var token;
+        token = lexer.lex() || EOF;
+        // if token isn't its numeric value, convert
+        if (typeof token !== 'number') {
+            token = self.symbols_[token] || token;
+        }
+        return token;
+    }
+
+    function actionsOf (state, symbol) {
+        var action = table[state] && table[state][symbol];
+        if (!action || !action.length) {
+            return [];
+        }
+        return action[0] instanceof Array ? action : [action];
+    }
+
+    // every way down the stack from node over length links
+    function paths (node, length) {
+        if (length === 0) {
+            return [{node: node, children: []}];
+        }
+        var found = [];
+        node.links.forEach(function (link) {
+            paths(link.node, length - 1).forEach(function (path) {
+                found.push({node: path.node, children: path.children.concat(link.forest)});
+            });
+        });
+        return found;
+    }
+
+    // the lexical context of each token, the first entry standing for the start of input
+    var tokens = [{yytext: '', yyleng: 0, yylineno: 0, yylloc: lexer.yylloc}];
+
+    var position = 0,
+        level = [{state: 0, position: 0, links: []}], // stack tops after the tokens read so far
+        byState = {0: level[0]},
+        forests = {},
+        accepted,
+        symbol, token;
+
+    // reduces by production along path, in the current level; true if the stack grew
+    function reduce (production, path) {
+        var lhs = productions[production][0],
+            origin = path.node,
+            state = table[origin.state][lhs],
+            key = lhs + ':' + origin.position,
+            forest = forests[key];
+
+        if (!forest) {
+            forest = forests[key] = {symbol: names[lhs], start: origin.position, end: position, alternatives: []};
+        }
+        var known = forest.alternatives.some(function (alternative) {
+            return alternative.production === production &&
+                alternative.children.every(function (child, i) { return child === path.children[i]; });
+        });
+        if (!known) {
+            forest.alternatives.push({production: production, children: path.children});
+        }
+
+        var node = byState[state];
+        if (!node) {
+            node = byState[state] = {state: state, position: position, links: []};
+            level.push(node);
+        } else if (node.links.some(function (link) { return link.node === origin; })) {
+            return false;
+        }
+        node.links.push({node: origin, forest: forest});
+        return true;
+    }
+
+    while (true) {
+        symbol = lex();
+        token = {yytext: lexer.yytext, yyleng: lexer.yyleng, yylineno: lexer.yylineno, yylloc: lexer.yylloc};
+
+        // perform every reduction, until no new stack appears
+        var grown;
+        do {
+            grown = false;
+            for (var n = 0; n < level.length; n++) {
+                actionsOf(level[n].state, symbol).forEach(function (action) {
+                    if (action[0] === 2) {
+                        paths(level[n], productions[action[1]][1]).forEach(function (path) {
+                            grown = reduce(action[1], path) || grown;
+                        });
+                    }
+                });
+            }
+        } while (grown);
 
-            // Return the rule stack depth where the nearest error rule can be found.
-            // Return FALSE when no error recovery rule was found.
-            function locateNearestErrorRecoveryRule(state) {
-                var stack_probe = stack.length - 1;
-                var depth = 0;
+        level.some(function (node) {
+            var accepts = actionsOf(node.state, symbol).some(function (action) { return action[0] === 3; });
+            if (accepts) {
+                accepted = node.links[0].forest;
+            }
+            return accepts;
+        });
+        if (accepted) {
+            break;
+        }
 
-                // try to recover from error
-                for(;;) {
-                    // check for error recovery rule in this state
-                    if ((TERROR.toString()) in table[state]) {
-                        return depth;
+        // shift the token onto every stack that can take it
+        var leaf = {symbol: names[symbol] || symbol, start: position, end: position + 1, text: token.yytext, loc: token.yylloc},
+            next = [],
+            nextByState = {};
+        level.forEach(function (node) {
+            actionsOf(node.state, symbol).forEach(function (action) {
+                if (action[0] === 1) {
+                    if (!nextByState[action[1]]) {
+                        next.push(nextByState[action[1]] = {state: action[1], position: position + 1, links: []});
                     }
-                    if (state === 0 || stack_probe < 2) {
-                        return false; // No suitable error recovery rule available.
-                    }
-                    stack_probe -= 2; // popStack(1): [symbol, action]
-                    state = stack[stack_probe];
-                    ++depth;
+                    nextByState[action[1]].links.push({node: node, forest: leaf});
                 }
-            }
-
-            if (!recovering) {
-                // first see if there's any chance at hitting an error recovery rule:
-                error_rule_depth = locateNearestErrorRecoveryRule(state);
+            });
+        });
 
-                // Report error
-                expected = [];
-                for (p in table[state]) {
-                    if (this.terminals_[p] && p > TERROR) {
-                        expected.push("'"+this.terminals_[p]+"'");
+        if (!next.length) {
+            var errStr = '',
+                expected = [],
+                seen = {};
+            level.forEach(function (node) {
+                for (var p in table[node.state]) {
+                    if (self.terminals_[p] && p > TERROR && !seen[p]) {
+                        seen[p] = true;
+                        expected.push("'"+self.terminals_[p]+"'");
                     }
                 }
-                if (lexer.showPosition) {
-                    errStr = 'Parse error on line '+(yylineno+1)+":\n"+lexer.showPosition()+"\nExpecting "+expected.join(', ') + ", got '" + (this.terminals_[symbol] || symbol)+ "'";
-                } else {
-                    errStr = 'Parse error on line '+(yylineno+1)+": Unexpected " +
-                                  (symbol == EOF ? "end of input" :
-                                              ("'"+(this.terminals_[symbol] || symbol)+"'"));
-                }
-                this.parseError(errStr, {
-                    text: lexer.match,
-                    token: this.terminals_[symbol] || symbol,
-                    line: lexer.yylineno,
-                    loc: yyloc,
-                    expected: expected,
-                    recoverable: (error_rule_depth !== false)
-                });
-            } else if (preErrorSymbol !== EOF) {
-                error_rule_depth = locateNearestErrorRecoveryRule(state);
+            });
+            if (lexer.showPosition) {
+                errStr = 'Parse error on line '+(tokens[position].yylineno+1)+":\n"+lexer.showPosition()+"\nExpecting "+expected.join(', ') + ", got '" + (this.terminals_[symbol] || symbol)+ "'";
+            } else {
+                errStr = 'Parse error on line '+(tokens[position].yylineno+1)+": Unexpected " +
+                              (symbol == EOF ? "end of input" :
+                                          ("'"+(this.terminals_[symbol] || symbol)+"'"));
             }
+            var hash = {
+                text: lexer.match,
+                token: this.terminals_[symbol] || symbol,
+                line: lexer.yylineno,
+                loc: lexer.yylloc,
+                expected: expected,
+                recoverable: false
+            };
+            this.parseError(errStr, hash);
+            throw new this.JisonParseError(errStr, hash);
+        }
 
-            // just recovered from another error
-            if (recovering == 3) {
-                if (symbol === EOF || preErrorSymbol === EOF) {
-                    throw new Error(errStr || 'Parsing halted while starting to recover from another error.');
-                }
+        tokens.push(token);
+        level = next;
+        byState = nextByState;
+        forests = {};
+        position++;
+    }
 
-                // discard current lookahead and grab another
-                yyleng = lexer.yyleng;
-                yytext = lexer.yytext;
-                yylineno = lexer.yylineno;
-                yyloc = lexer.yylloc;
-                symbol = lex();
+    var merge = sharedState.yy.merge;
+
+    // whether some node of the forest has more than one alternative
+    function ambiguous (root) {
+        var seen = {},
+            pending = [root],
+            forest, key;
+        while (pending.length) {
+            forest = pending.pop();
+            if (!forest.alternatives) {
+                continue;
             }
-
-            // try to recover from error
-            if (error_rule_depth === false) {
-                throw new Error(errStr || 'Parsing halted. No suitable error recovery rule available.');
+            key = forest.symbol + ':' + forest.start + ':' + forest.end;
+            if (seen[key]) {
+                continue;
             }
-            popStack(error_rule_depth);
-
-            preErrorSymbol = (symbol == TERROR ? null : symbol); // save the lookahead token
-            symbol = TERROR;         // insert generic error symbol as new lookahead
-            state = stack[stack.length-1];
-            action = table[state] && table[state][TERROR];
-            recovering = 3; // allow 3 real symbols to be shifted before reporting a new error
-        }
-
-        // this shouldn't happen, unless resolve defaults are off
-        if (action[0] instanceof Array && action.length > 1) {
-            throw new Error('Parse Error: multiple actions possible at state: '+state+', token: '+symbol);
+            seen[key] = true;
+            if (forest.alternatives.length > 1) {
+                return true;
+            }
+            pending.push.apply(pending, forest.alternatives[0].children);
         }
+        return false;
+    }
 
-        switch (action[0]) {
-            case 1: // shift
-                //this.shiftCount++;
-
-                stack.push(symbol);
-                vstack.push(lexer.yytext);
-                lstack.push(lexer.yylloc);
-                stack.push(action[1]); // push state
-                symbol = null;
-                if (!preErrorSymbol) { // normal execution/no error
-                    yyleng = lexer.yyleng;
-                    yytext = lexer.yytext;
-                    yylineno = lexer.yylineno;
-                    yyloc = lexer.yylloc;
-                    if (recovering > 0) {
-                        recovering--;
-                    }
-                } else {
-                    // error just occurred, resume old lookahead f/ before error
-                    symbol = preErrorSymbol;
-                    preErrorSymbol = null;
-                }
-                break;
+    if (typeof merge !== 'function' && ambiguous(accepted)) {
+        return accepted;
+    }
 
-            case 2:
-                // reduce
-                //this.reductionCount++;
+    // run the semantic actions bottom-up, each shared node once
+    var values = {},
+        halt = {};
 
-                len = this.productions_[action[1]][1];
+    function valueOf (forest) {
+        if (!forest.alternatives) {
+            return {$: forest.text, _$: forest.loc};
+        }
+        return values[forest.symbol + ':' + forest.start + ':' + forest.end];
+    }
 
-                // perform semantic action
-                yyval.$ = vstack[vstack.length-len]; // default to $$ = $1
-                // default location, uses first token for firsts, last for lasts
-                yyval._$ = {
-                    first_line: lstack[lstack.length-(len||1)].first_line,
-                    last_line: lstack[lstack.length-1].last_line,
-                    first_column: lstack[lstack.length-(len||1)].first_column,
-                    last_column: lstack[lstack.length-1].last_column
-                };
-                if (ranges) {
-                  yyval._$.range = [lstack[lstack.length-(len||1)].range[0], lstack[lstack.length-1].range[1]];
-                }
-                r = this.performAction.apply(yyval, [yytext, yyleng, yylineno, sharedState.yy, action[1], vstack, lstack].concat(args));
+    // the value stacks of an alternative whose children are being evaluated
+    function frame (forest, alternative) {
+        return {forest: forest, alternative: alternative, child: 0, vstack: [null], lstack: [tokens[forest.start].yylloc]};
+    }
 
-                if (typeof r !== 'undefined') {
-                    return r;
-                }
+    // evaluates the children of each alternative left to right before performing
+    // it, keeping the nodes still being evaluated on an explicit stack, as deep
+    // forests, such as those of long left-recursive lists, would overflow the call stack
+    function evaluate (root) {
+        var frames = [],
+            top, alternatives, children, value, yyval, key;
 
-                // pop off stack
-                if (len) {
-                    stack = stack.slice(0,-1*len*2);
-                    vstack = vstack.slice(0, -1*len);
-                    lstack = lstack.slice(0, -1*len);
+        if (valueOf(root)) {
+            return valueOf(root);
+        }
+        frames.push(frame(root, 0));
+        while (frames.length) {
+            top = frames[frames.length-1];
+            alternatives = top.forest.alternatives;
+            children = alternatives[top.alternative].children;
+            if (top.child < children.length) {
+                value = valueOf(children[top.child]);
+                if (value) {
+                    top.vstack.push(value.$);
+                    top.lstack.push(value._$);
+                    top.child++;
+                } else {
+                    frames.push(frame(children[top.child], 0));
                 }
+                continue;
+            }
 
-                stack.push(this.productions_[action[1]][0]);    // push nonterminal (reduce)
-                vstack.push(yyval.$);
-                lstack.push(yyval._$);
-                // goto new state = table[STATE][NONTERMINAL]
-                newState = table[stack[stack.length-2]][stack[stack.length-1]];
-                stack.push(newState);
-                break;
+            yyval = perform(top.forest, alternatives[top.alternative], top.vstack, top.lstack);
+            key = top.forest.symbol + ':' + top.forest.start + ':' + top.forest.end;
+            values[key] = top.alternative === 0 ? yyval : {$: merge(values[key].$, yyval.$, top.forest.symbol), _$: values[key]._$};
+            frames.pop();
+            if (top.alternative + 1 < alternatives.length) {
+                frames.push(frame(top.forest, top.alternative + 1));
+            }
+        }
+        return valueOf(root);
+    }
 
-            case 3:
-                // accept
-                return true;
+    function perform (forest, alternative, vstack, lstack) {
+        var len = alternative.children.length,
+            context = tokens[forest.end],
+            yyval = {};
+
+        yyval.$ = vstack[vstack.length-len]; // default to $$ = $1
+        // default location, uses first token for firsts, last for lasts
+        yyval._$ = {
+            first_line: lstack[lstack.length-(len||1)].first_line,
+            last_line: lstack[lstack.length-1].last_line,
+            first_column: lstack[lstack.length-(len||1)].first_column,
+            last_column: lstack[lstack.length-1].last_column
+        };
+        if (ranges) {
+          yyval._$.range = [lstack[lstack.length-(len||1)].range[0], lstack[lstack.length-1].range[1]];
         }
+        var r = self.performAction.apply(yyval, [context.yytext, context.yyleng, context.yylineno, sharedState.yy, alternative.production, vstack, lstack].concat(args));
 
+        if (typeof r !== 'undefined') {
+            halt.value = r;
+            throw halt;
+        }
+        return yyval;
     }
 
-    return true;
-};
+    try {
+        var tree = evaluate(accepted).$;
+    } catch (e) {
+        if (e === halt) {
+            return halt.value;
+        }
+        throw e;
+    }
 
-parser.init = function parser_init (dict) {
-    this.table = dict.table;
-    this.defaultActions = dict.defaultActions;
-    this.performAction = dict.performAction;
-    this.productions_ = dict.productions_;
-    this.symbols_ = dict.symbols_;
-    this.terminals_ = dict.terminals_;
+    // the tree of the start symbol in tree building mode
+    return this.buildTree ? tree : true;
 };
 
 /*
@@ -1855,6 +5091,155 @@ var lr1 = lrLookaheadGenerator.beget({
 
 var LR1Generator = exports.LR1Generator = lr1.construct();
 
+/*
+ * Minimal LR(1) Parser
+ * */
+
+// Pager's algorithm: LR(1) states with the same core are merged whenever they
+// are weakly compatible, so the tables keep the size of LALR(1) tables and
+// states are only split where merging them would add conflicts
+var mlr = lr1.beget({
+    type: "Minimal LR(1)",
+
+    canonicalCollection: function MLR_canonicalCollection () {
+        var self = this,
+            states = [],
+            byCore = {},
+            queue = [],
+            queued = {};
+
+        function enqueue (k) {
+            if (!queued[k]) {
+                queued[k] = true;
+                queue.push(k);
+            }
+        }
+
+        // kernels are lists of {production, dotPosition, follows}, ordered by core
+        function newState (core, kernel) {
+            var k = states.length;
+            states.push({
+                core: core,
+                kernel: kernel.map(function (item) {
+                    return {production: item.production, dotPosition: item.dotPosition, follows: {}};
+                }),
+                edges: {},
+                predecessors: {}
+            });
+            (byCore[core] = byCore[core] || []).push(k);
+            return k;
+        }
+
+        // adds the lookaheads of kernel to those of state k; true if any were new
+        function merge (k, kernel) {
+            var changed = false;
+            states[k].kernel.forEach(function (item, i) {
+                each(kernel[i].follows, function (val, token) {
+                    if (!item.follows[token]) {
+                        item.follows[token] = changed = true;
+                    }
+                });
+            });
+            return changed;
+        }
+
+        function compatibleState (core, kernel) {
+            var candidates = byCore[core] || [];
+            for (var i = 0; i < candidates.length; i++) {
+                if (weaklyCompatible(states[candidates[i]].kernel, kernel)) return candidates[i];
+            }
+        }
+
+        var start = [{production: this.productions[0], dotPosition: 0, follows: {}}];
+        start[0].follows[this.EOF] = true;
+        merge(newState(coreOf(start), start), start);
+        enqueue(0);
+
+        while (queue.length) {
+            var k = queue.shift();
+            queued[k] = false;
+
+            var state = states[k];
+            state.itemSet = this.closureOperation(new this.ItemSet(state.kernel.map(function (item) {
+                return new self.Item(item.production, item.dotPosition, Object.keys(item.follows));
+            })));
+
+            // kernels of the successor states, with lookaheads merged by core
+            var gotos = {}, symbols = [];
+            state.itemSet.forEach(function (item) {
+                var symbol = item.markedSymbol;
+                if (!symbol || symbol === self.EOF) return;
+                if (!gotos[symbol]) {
+                    gotos[symbol] = {};
+                    symbols.push(symbol);
+                }
+                var core = item.production.id + 'a' + (item.dotPosition + 1);
+                var next = gotos[symbol][core] = gotos[symbol][core] ||
+                    {production: item.production, dotPosition: item.dotPosition + 1, follows: {}};
+                item.follows.forEach(function (token) {
+                    next.follows[token] = true;
+                });
+            });
+
+            symbols.forEach(function (symbol) {
+                var kernel = [];
+                each(gotos[symbol], function (item) { kernel.push(item); });
+                kernel.sort(function (a, b) {
+                    return a.production.id - b.production.id || a.dotPosition - b.dotPosition;
+                });
+                var core = coreOf(kernel),
+                    target = state.edges[symbol];
+
+                if (target === undefined) {
+                    target = compatibleState(core, kernel);
+                    if (target === undefined) target = newState(core, kernel);
+                    state.edges[symbol] = target;
+                    (states[target].predecessors[symbol] = states[target].predecessors[symbol] || []).push(k);
+                }
+                if (merge(target, kernel)) enqueue(target);
+            });
+        }
+
+        var collection = new Set();
+        states.forEach(function (state) {
+            state.itemSet.edges = state.edges;
+            state.itemSet.predecessors = state.predecessors;
+            collection.push(state.itemSet);
+        });
+
+        return collection;
+    }
+});
+
+function coreOf (kernel) {
+    return kernel.map(function (item) {
+        return item.production.id + 'a' + item.dotPosition;
+    }).join('|');
+}
+
+// Pager's weak compatibility of two kernels with the same core: merging them
+// can only join lookaheads of different items that already meet in one of them
+function weaklyCompatible (a, b) {
+    function meet (x, y) {
+        for (var token in x) {
+            if (y[token]) return true;
+        }
+        return false;
+    }
+
+    for (var i = 0; i < a.length; i++) {
+        for (var j = i + 1; j < a.length; j++) {
+            if ((meet(a[i].follows, b[j].follows) || meet(b[i].follows, a[j].follows)) &&
+                !meet(a[i].follows, a[j].follows) && !meet(b[i].follows, b[j].follows)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+var MLRGenerator = exports.MLRGenerator = mlr.construct();
+
 /*
  * LL Parser
  * */
@@ -1863,8 +5248,44 @@ var ll = generator.beget(lookaheadMixin, {
 
     afterconstructor: function ll_aftercontructor () {
         this.computeLookaheads();
+        var recursive = this.leftRecursion();
+        if (recursive.length) {
+            throw new Error('Grammar is left-recursive in ' + recursive.join(', ') + ' and cannot be parsed predictively');
+        }
         this.table = this.parseTable(this.productions);
     },
+    // nonterminals that can derive themselves in leftmost position, which
+    // would send the predictive parser into an endless expansion
+    leftRecursion: function llLeftRecursion () {
+        var corners = {},
+            self = this;
+        // the nonterminals each one can begin with, looking past nullable symbols
+        this.productions.forEach(function (production) {
+            var set = corners[production.symbol] || (corners[production.symbol] = {});
+            for (var i = 0; i < production.handle.length; i++) {
+                if (self.nonterminals[production.handle[i]]) {
+                    set[production.handle[i]] = true;
+                }
+                if (!self.nullable(production.handle[i])) {
+                    break;
+                }
+            }
+        });
+        return Object.keys(corners).filter(function (symbol) {
+            var seen = {}, queue = Object.keys(corners[symbol]), next;
+            while (queue.length) {
+                next = queue.pop();
+                if (next === symbol) {
+                    return true;
+                }
+                if (!seen[next]) {
+                    seen[next] = true;
+                    queue.push.apply(queue, Object.keys(corners[next] || {}));
+                }
+            }
+            return false;
+        });
+    },
     parseTable: function llParseTable (productions) {
         var table = {},
             self = this;
@@ -1878,6 +5299,8 @@ var ll = generator.beget(lookaheadMixin, {
                 if (row[token]) {
                     row[token].push(i);
                     self.conflicts++;
+                    self.warn('Conflict in grammar: multiple productions predicted for ', production.symbol,
+                        ' when lookahead token is ', token, "\n- ", productions[row[token][0]], "\n- ", production);
                 } else {
                     row[token] = [i];
                 }
@@ -1885,13 +5308,254 @@ var ll = generator.beget(lookaheadMixin, {
             table[production.symbol] = row;
         });
 
+        // prediction conflicts are counted against %expect
+        var expect = self.options.expect === undefined && self.options.strict ? 0 : self.options.expect;
+        if (expect !== undefined && self.conflicts !== expect) {
+            throw new Error('Expected ' + expect + ' prediction conflict(s), found ' + self.conflicts);
+        }
+
         return table;
     }
 });
 
+// Generates the code of the LL parser module: the prediction table is keyed
+// by symbol numbers and each production's handle is emitted as handles_
+ll.generateModule_ = function ll_generateModule_ () {
+    // Generate code with fresh variable names
+    nextVariableId = 0;
+    var tableCode = this.tableCode(this.predictionTable());
+
+    var moduleCode = "{";
+    moduleCode += [
+        "trace: " + String(this.trace || parser.trace),
+        "yy: {}",
+        "symbols_: " + JSON.stringify(this.symbols_),
+        "terminals_: " + JSON.stringify(this.terminals_).replace(/"([0-9]+)":/g,"$1:"),
+        "productions_: " + JSON.stringify(this.productions_),
+        "handles_: " + JSON.stringify(this.handles()),
+        "performAction: " + String(this.performAction),
+        "table: " + tableCode.moduleCode,
+        "parseError: " + String(this.parseError || parser.parseError),
+        "JisonParseError: JisonParseError",
+        (this.options.collectErrors ? "parse: " + String(parseCollectingErrors) + ",\nparse_: " : "parse: ") + String(llParser.parse)
+        ].concat(this.options.collectErrors ? [
+            "collectErrors: true",
+            "errorCollector_: " + String(parser.errorCollector_)
+        ] : [], this.options.buildTree ? "buildTree: true" : []).join(",\n");
+    moduleCode += "};";
+
+    return { commonCode: tableCode.commonCode + parseErrorCode, moduleCode: moduleCode };
+};
+
+ll.runtimeTable_ = function ll_runtimeTable_ () {
+    return this.predictionTable();
+};
+
+ll.serializeTables_ = function ll_serializeTables_ () {
+    return {
+        algorithm: 'll',
+        table: this.predictionTable(),
+        handles_: this.handles()
+    };
+};
+
+// prediction table used at runtime, i.e. table[nonterminal][terminal] = production;
+// conflicting cells predict the production declared first
+ll.predictionTable = function ll_predictionTable () {
+    var table = [],
+        self = this;
+    each(this.table, function (row, symbol) {
+        var predictions = table[self.symbols_[symbol]] = {};
+        each(row, function (productions, token) {
+            predictions[self.symbols_[token]] = productions[0];
+        });
+    });
+    return table;
+};
+
+// right-hand sides of the productions as lists of symbol numbers
+ll.handles = function ll_handles () {
+    var symbols_ = this.symbols_;
+    return this.productions.map(function (production) {
+        return production.handle[0] === '' ? [] : production.handle.map(function (symbol) {
+            return symbols_[symbol];
+        });
+    });
+};
+
+// the LL counterpart of the automaton is the prediction table
+ll.reportAutomaton = function ll_reportAutomaton () {
+    var self = this,
+        out = ['Prediction table', ''];
+    each(this.table, function (row, symbol) {
+        out.push('    ' + symbol);
+        each(row, function (productions, token) {
+            out.push('        ' + padRight(token, 12) + ' ' +
+                productions.map(function (p, i) {
+                    var text = 'predict rule ' + p + ' (' + self.productions[p].symbol + ': ' + handleToString(self.productions[p].handle) + ')';
+                    return i ? '[' + text + ']' : text;
+                }).join(' '));
+        });
+        out.push('');
+    });
+    return out.join('\n');
+};
+
+var llParser = typal.beget(parser);
+
+// predictive parser: the stack holds the symbols still to be matched and,
+// below the handle of each predicted production, a marker (~production)
+// that runs the production's semantic action once its handle is matched
+llParser.parse = function parse (input) {
+    var self = this,
+        stack = [~0, 0], // reduce $accept after matching its expansion
+        vstack = [null], // semantic value stack
+        lstack = [], // location stack
+        table = this.table,
+        handles = this.handles_,
+        yytext = '',
+        yylineno = 0,
+        yyleng = 0,
+        EOF = 1;
+
+    var args = lstack.slice.call(arguments, 1);
+
+    var lexer = Object.create(this.lexer);
+    var sharedState = { yy: {} };
+    // copy state
+    for (var k in this.yy) {
+      if (Object.prototype.hasOwnProperty.call(this.yy, k)) {
+        sharedState.yy[k] = this.yy[k];
+      }
+    }
+
+    lexer.setInput(input, sharedState.yy);
+    sharedState.yy.lexer = lexer;
+    sharedState.yy.parser = this;
+    if (typeof lexer.yylloc == 'undefined') {
+        lexer.yylloc = {};
+    }
+    lstack.push(lexer.yylloc);
+
+    var ranges = lexer.options && lexer.options.ranges;
+
+    if (typeof sharedState.yy.parseError === 'function') {
+        this.parseError = sharedState.yy.parseError;
+    } else {
+        this.parseError = Object.getPrototypeOf(this).parseError;
+    }
+
+    function lex () {
+        var token;
+        token = lexer.lex() || EOF;
+        // if token isn't its numeric value, convert
+        if (typeof token !== 'number') {
+            token = self.symbols_[token] || token;
+        }
+        return token;
+    }
+
+    var symbol, top, production, handle, i, r, yyval = {}, len, expected, errStr;
+    while (stack.length) {
+        top = stack.pop();
+
+        if (top < 0) {
+            // reduce
+            production = ~top;
+            if (production === 0) {
+                // accept, with the tree of the start symbol in tree building mode
+                return this.buildTree ? vstack[1] : true;
+            }
+            len = this.productions_[production][1];
+
+            // perform semantic action
+            yyval.$ = vstack[vstack.length-len]; // default to $$ = $1
+            // default location, uses first token for firsts, last for lasts
+            yyval._$ = {
+                first_line: lstack[lstack.length-(len||1)].first_line,
+                last_line: lstack[lstack.length-1].last_line,
+                first_column: lstack[lstack.length-(len||1)].first_column,
+                last_column: lstack[lstack.length-1].last_column
+            };
+            if (ranges) {
+              yyval._$.range = [lstack[lstack.length-(len||1)].range[0], lstack[lstack.length-1].range[1]];
+            }
+            r = this.performAction.apply(yyval, [yytext, yyleng, yylineno, sharedState.yy, production, vstack, lstack].concat(args));
+
+            if (typeof r !== 'undefined') {
+                return r;
+            }
+
+            if (len) {
+                vstack = vstack.slice(0, -1*len);
+                lstack = lstack.slice(0, -1*len);
+            }
+            vstack.push(yyval.$);
+            lstack.push(yyval._$);
+            continue;
+        }
+
+        if (symbol === null || typeof symbol == 'undefined') {
+            symbol = lex();
+        }
+
+        if (table[top]) {
+            // predict
+            production = table[top][symbol];
+            if (typeof production !== 'undefined') {
+                handle = handles[production];
+                stack.push(~production);
+                for (i = handle.length - 1; i >= 0; i--) {
+                    stack.push(handle[i]);
+                }
+                continue;
+            }
+            expected = [];
+            for (i in table[top]) {
+                expected.push("'"+this.terminals_[i]+"'");
+            }
+        } else if (top === symbol) {
+            // match
+            vstack.push(lexer.yytext);
+            lstack.push(lexer.yylloc);
+            yyleng = lexer.yyleng;
+            yytext = lexer.yytext;
+            yylineno = lexer.yylineno;
+            symbol = null;
+            continue;
+        } else {
+            expected = ["'"+this.terminals_[top]+"'"];
+        }
+
+        // handle parse error
+        if (lexer.showPosition) {
+            errStr = 'Parse error on line '+(yylineno+1)+":\n"+lexer.showPosition()+"\nExpecting "+expected.join(', ') + ", got '" + (this.terminals_[symbol] || symbol)+ "'";
+        } else {
+            errStr = 'Parse error on line '+(yylineno+1)+": Unexpected " +
+                          (symbol == EOF ? "end of input" :
+                                      ("'"+(this.terminals_[symbol] || symbol)+"'"));
+        }
+        var hash = {
+            text: lexer.match,
+            token: this.terminals_[symbol] || symbol,
+            line: lexer.yylineno,
+            loc: lexer.yylloc,
+            expected: expected,
+            recoverable: false
+        };
+        this.parseError(errStr, hash);
+        throw new this.JisonParseError(errStr, hash);
+    }
+
+    return true;
+};
+
 var LLGenerator = exports.LLGenerator = ll.construct();
 
 Jison.Generator = function Jison_Generator (g, options) {
+    if (typeof g === 'string') {
+        g = Jison.parseGrammar(g);
+    }
     var opt = typal.mix.call({}, g.options, options);
     switch (opt.type) {
         case 'lr0':
@@ -1900,6 +5564,8 @@ Jison.Generator = function Jison_Generator (g, options) {
             return new SLRGenerator(g, opt);
         case 'lr':
             return new LR1Generator(g, opt);
+        case 'mlr':
+            return new MLRGenerator(g, opt);
         case 'll':
             return new LLGenerator(g, opt);
         default:
@@ -1907,6 +5573,76 @@ Jison.Generator = function Jison_Generator (g, options) {
     }
 };
 
+// rebuilds a parser from a compiled grammar (see generator.serialize). Its
+// actions are compiled with Function, in the scope of the grammar's module
+// code, unless options.performAction and options.lexerAction give them as
+// functions, so that no code is evaluated; options.lexer replaces the lexer
+Jison.loadParser = function loadParser (compiled, options) {
+    options = options || {};
+    if (!compiled || compiled.format !== COMPILED_FORMAT) {
+        throw new Error('Not a compiled grammar');
+    }
+    if (compiled.version > COMPILED_VERSION) {
+        throw new Error('Compiled grammar version ' + compiled.version + ' is newer than this version of Jison reads (' + COMPILED_VERSION + ')');
+    }
+    var runtime = {lr: parser, glr: glrParser, ll: llParser}[compiled.algorithm];
+    if (!runtime) {
+        throw new Error('Unknown parsing algorithm of compiled grammar: ' + compiled.algorithm);
+    }
+
+    var p = typal.beget(runtime);
+
+    // as in generated modules, the module code and the actions see the parser as parser
+    var performAction = options.performAction || compiled.performAction,
+        lexerAction = compiled.lexer && (options.lexerAction || compiled.lexer.performAction);
+    if (typeof performAction === 'string' || typeof lexerAction === 'string') {
+        var actions = Function('parser', (compiled.moduleInclude || '') + '\nreturn [' +
+            (typeof performAction === 'string' ? performAction : 'null') + ', ' +
+            (typeof lexerAction === 'string' ? lexerAction : 'null') + '];')(p);
+        if (typeof performAction === 'string') performAction = actions[0];
+        if (typeof lexerAction === 'string') lexerAction = actions[1];
+    }
+
+    p.init(typal.mix.call({}, compiled, {performAction: performAction}));
+    p.yy = {};
+    p.JisonParseError = JisonParseError;
+    if (compiled.hasErrorRecovery && compiled.algorithm === 'lr') {
+        p.parseError = traceParseError;
+    }
+    if (compiled.options.buildTree) {
+        p.buildTree = true;
+    }
+    if (compiled.options.errorRepair && compiled.algorithm === 'lr') {
+        p.errorRepair = true;
+    }
+    if (compiled.options.collectErrors) {
+        p.collectErrors = true;
+        p.parse_ = runtime.parse;
+        p.parse = parseCollectingErrors;
+    }
+
+    if (options.lexer) {
+        p.lexer = options.lexer;
+    } else if (compiled.lexer) {
+        p.lexer = typal.mix.call(Object.create(Lexer.prototype), {
+            rules: compiled.lexer.rules.map(function (rule) {
+                return new RegExp(rule.source, rule.flags);
+            }),
+            conditions: compiled.lexer.conditions,
+            options: compiled.lexer.options,
+            performAction: lexerAction,
+            yy: {}
+        });
+    }
+
+    function Parser () {
+        this.yy = {};
+    }
+    Parser.prototype = p;
+    p.Parser = Parser;
+    return new Parser();
+};
+
 return function Parser (g, options) {
         var gen = Jison.Generator(g, options);
         return gen.createParser();
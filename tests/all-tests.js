@@ -1,4 +1,5 @@
 exports.testParser = require("./parser/parser-tests");
+exports.testCLI = require("./cli/cli-tests");
 
 if (require.main === module)
     require("test").run(exports);
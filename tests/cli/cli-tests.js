@@ -0,0 +1,6 @@
+exports.testSummary = require("./summary");
+exports.testWatch = require("./watch");
+exports.testGraph = require("./graph");
+
+if (require.main === module)
+    require("test").run(exports);
@@ -0,0 +1,50 @@
+var cli = require("../../lib/cli"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    assert = require("assert");
+
+var grammar = "%lex\n%%\n\\s+ /* skip */\n[0-9]+ return 'NUM'\n<<EOF>> return 'EOF'\n/lex\n%%\ns : NUM EOF ;\n";
+
+// runs jison on the grammar in a scratch directory, passing the names of the
+// files there afterwards to test
+function building (opts, test) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "jison-graph-")),
+        file = path.join(dir, "grammar.jison");
+
+    fs.writeFileSync(file, grammar);
+    opts.file = file;
+    opts.outfile = path.join(dir, "grammar.js");
+    try {
+        var error;
+        try {
+            cli.main(opts);
+        } catch (e) {
+            error = e;
+        }
+        test(error, fs.readdirSync(dir).sort());
+    } finally {
+        fs.readdirSync(dir).forEach(function (name) {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+exports["test graph of an LR automaton"] = function () {
+    building({graph: "dot", report: true}, function (error, files) {
+        assert.strictEqual(error, undefined, "no error");
+        assert.deepEqual(files, ["grammar.dot", "grammar.jison", "grammar.js", "grammar.output"], "graph written");
+    });
+};
+
+exports["test graph of an LL parser is refused before writing"] = function () {
+    building({graph: "dot", report: true, "parser-type": "ll"}, function (error, files) {
+        assert.ok(error && /Cannot graph the automaton of LL\(1\) parsers, only that of LR parsers/.test(error.message), "clear error");
+        assert.deepEqual(files, ["grammar.jison"], "nothing written");
+    });
+    building({graph: "svg"}, function (error, files) {
+        assert.ok(error && /Unknown graph format: svg/.test(error.message), "unknown format");
+        assert.deepEqual(files, ["grammar.jison"], "nothing written");
+    });
+};
@@ -0,0 +1,30 @@
+var cli = require("../../lib/cli"),
+    Jison = require("../setup").Jison,
+    assert = require("assert");
+
+function summary (grammar, options) {
+    return cli.conflictSummary(new Jison.Generator(grammar, options));
+}
+
+exports["test conflict summary of a grammar without conflicts"] = function () {
+    assert.equal(summary("%left '+'\n%%\ne : e '+' e | NUM ;\n"), "no conflicts", "resolved by precedence");
+};
+
+exports["test conflict summary counts each kind"] = function () {
+    var danglingElse = "%%\nstmt : IF e THEN stmt | IF e THEN stmt ELSE stmt | X ;\ne : NUM ;\n";
+    var reduceReduce = "%%\ns : a x | b x ;\na : NUM ;\nb : NUM ;\n";
+
+    assert.equal(summary(danglingElse), "1 conflict (1 shift/reduce)", "shift/reduce");
+    assert.equal(summary(reduceReduce), "1 conflict (1 reduce/reduce)", "reduce/reduce");
+    assert.equal(summary("%%\ns : stmt | a x | b x ;\n" + danglingElse.slice(3) + "a : NUM ;\nb : NUM ;\n"),
+        "2 conflicts (1 shift/reduce, 1 reduce/reduce)", "both kinds");
+};
+
+exports["test table size summary as a signed difference"] = function () {
+    var generator = new Jison.Generator("%%\ne : e '+' NUM | NUM ;\n");
+
+    generator.tableSizes = function () { return {object: 250, comb: 510}; };
+    assert.equal(cli.tableSizeSummary(generator), "Parse table: 250 characters as objects, 510 as comb vectors (+260, +104%)", "larger");
+    generator.tableSizes = function () { return {object: 400, comb: 300}; };
+    assert.equal(cli.tableSizeSummary(generator), "Parse table: 400 characters as objects, 300 as comb vectors (-100, -25%)", "smaller");
+};
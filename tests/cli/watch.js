@@ -0,0 +1,82 @@
+var cli = require("../../lib/cli"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    assert = require("assert");
+
+var grammar = "%lex\n%%\n\\s+ /* skip */\n[0-9]+ return 'NUM'\n<<EOF>> return 'EOF'\n/lex\n%%\ns : NUM EOF ;\n";
+
+// runs jison --watch on a grammar in a scratch directory, with fs.watchFile
+// stubbed so that the test triggers the rebuilds; console output is collected
+function watching (test) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "jison-watch-")),
+        file = path.join(dir, "grammar.jison"),
+        outfile = path.join(dir, "grammar.js"),
+        listeners = {},
+        output = [],
+        watchFile = fs.watchFile,
+        log = console.log,
+        error = console.error,
+        mtime = 0;
+
+    function change (contents) {
+        fs.writeFileSync(file, contents);
+        var previous = {mtime: new Date(mtime)};
+        listeners[file]({mtime: new Date(++mtime)}, previous);
+    }
+
+    fs.writeFileSync(file, grammar);
+    fs.watchFile = function (name, options, listener) {
+        listeners[name] = listener;
+    };
+    console.log = console.error = function (line) {
+        output.push(line);
+    };
+    try {
+        cli.main({file: file, outfile: outfile, watch: true, "module-type": "commonjs"});
+        test({outfile: outfile, output: output, change: change, watched: Object.keys(listeners)});
+    } finally {
+        fs.watchFile = watchFile;
+        console.log = log;
+        console.error = error;
+        fs.readdirSync(dir).forEach(function (name) {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+exports["test watch builds and watches the grammar"] = function () {
+    watching(function (watch) {
+        assert.deepEqual(watch.watched, [watch.watched[0]], "one file watched");
+        assert.ok(/grammar\.jison$/.test(watch.watched[0]), "the grammar");
+        assert.ok(fs.readFileSync(watch.outfile, "utf8").indexOf("parser generated by jison") !== -1, "first build");
+        assert.ok(/^Built .*grammar\.js in \d+ms, no conflicts$/.test(watch.output[0]), "build reported");
+    });
+};
+
+exports["test watch keeps the last output when a rebuild fails"] = function () {
+    watching(function (watch) {
+        var built = fs.readFileSync(watch.outfile, "utf8");
+
+        watch.change("%%\ns : ;;;\n");
+        assert.equal(fs.readFileSync(watch.outfile, "utf8"), built, "last good output kept");
+        assert.ok(/^Build failed, keeping the last output: /.test(watch.output[watch.output.length - 1]), "failure reported");
+    });
+};
+
+exports["test watch rewrites the output when a rebuild succeeds"] = function () {
+    watching(function (watch) {
+        var built = fs.readFileSync(watch.outfile, "utf8");
+
+        watch.change("%%\ns : ;;;\n");
+        watch.change(grammar.replace("s : NUM EOF ;", "s : NUM NUM EOF ;"));
+        var rebuilt = fs.readFileSync(watch.outfile, "utf8");
+        assert.notEqual(rebuilt, built, "output rewritten");
+        assert.ok(/^Built /.test(watch.output[watch.output.length - 1]), "rebuild reported");
+
+        var exports = {}, module = {};
+        eval(rebuilt);
+        assert.ok(exports.parse("1 2"), "rebuilt parser accepts the new language");
+    });
+};
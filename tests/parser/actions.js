@@ -526,3 +526,51 @@ exports["test symbol aliases in ebnf"] = function() {
     parser.lexer = new RegExpLexer(lexData);
     assert.equal(parser.parse('abc'), "ab", "should tolerate aliases in subexpression");
 };
+
+exports["test syntax errors in actions"] = function() {
+    var grammar = "%%\n" +
+                  "e : e '+' NUM\n" +
+                  "      { $$ = $1 +\n" +
+                  "          ; }\n" +
+                  "  | NUM -> Number($1)\n" +
+                  "  ;\n";
+
+    assert.throws(function () {
+        new Jison.Generator(grammar, {grammarFile: "sum.jison"});
+    }, /^Error: Grammar error: rule 1 \(e: e \+ NUM\), line 4 of sum\.jison: Unexpected token ;$/, "production, grammar location and esprima error");
+
+    assert.throws(function () {
+        new Jison.Generator({bnf: {"e": [["NUM", "$$ = Number($1;"]]}});
+    }, /Grammar error: rule 1 \(e: NUM\): Unexpected token ;/, "grammar without locations");
+
+    assert.throws(function () {
+        new Jison.Generator("%{\nvar helper = ;\n%}\n%%\ne : NUM ;\n");
+    }, /Grammar error: module code, line 2 of the grammar: Unexpected token ;/, "module code");
+
+    var gen = new Jison.Generator({bnf: {"e": [["e NUM", "$$ = [...$1, $2].map((n) => n * 2);"], ["", "$$ = [];"]]}});
+    assert.ok(gen, "newer syntax the engine accepts");
+};
+
+exports["test references beyond the handle"] = function() {
+    assert.throws(function () {
+        new Jison.Generator({bnf: {"e": [["e + NUM", "$$ = $1 + $4; @$ = @5;"], ["NUM", "$$ = $1;"]]}});
+    }, /Grammar error: rule 1 \(e: e \+ NUM\): \$4, @5 beyond the 3 symbols of the handle/, "references past the last symbol");
+
+    var gen = new Jison.Generator({bnf: {"e": [["e + NUM", "$$ = $0 + $-1 + $3;"], ["NUM", "$$ = $1;"]]}});
+    assert.ok(gen, "references to values below the handle");
+
+    gen = new Jison.Generator({bnf: {"e": [["e + NUM", "$$ = $1 + $4;"], ["NUM", "$$ = $1;"]]}}, {validateActions: false});
+    assert.ok(gen, "validation turned off");
+};
+
+exports["test unknown named semantic values"] = function() {
+    var warnings = [];
+    var print = Jison.print;
+    Jison.print = function (message) { warnings.push(message); };
+    try {
+        new Jison.Generator({bnf: {"e": [["e[left] + NUM", "var $sum = $left + $NUM; $$ = $sum + $rigth + $rigth;"], ["NUM", "$$ = $1;"]]}});
+    } finally {
+        Jison.print = print;
+    }
+    assert.deepEqual(warnings, ["Warning: rule 1 (e: e + NUM): $rigth not a symbol or alias of the handle"], "misspelled alias");
+};
@@ -445,3 +445,89 @@ exports["test reentrant parsing"] = function () {
     assert.equal(result, "foobar");
 };
 
+
+exports["test expected tokens at an offset"] = function () {
+    var grammar = {
+        bnf: {
+            "prog" :[ "stmts EOF" ],
+            "stmts" :[ "stmts stmt", "" ],
+            "stmt" :[ "expr ;" ],
+            "expr" :[ "expr + term", "term" ],
+            "term" :[ "NUM", "ID", "ID ( args )", "ID ( )" ],
+            "args" :[ "args , expr", "expr" ]
+        }
+    };
+
+    var lexData = {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["[0-9]+", "return 'NUM';"],
+           ["[a-z]+", "return 'ID';"],
+           ["\\(", "return '(';"],
+           ["\\)", "return ')';"],
+           [",", "return ',';"],
+           [";", "return ';';"],
+           ["\\+", "return '+';"],
+           ["$", "return 'EOF';"]
+        ]
+    };
+    var parser = new Jison.Parser(grammar, {expectedTokens: true});
+    parser.lexer = new Lexer(lexData);
+
+    var expected = parser.expectedAt("f(", 2);
+    assert.deepEqual(expected.terminals.sort(), [")", "ID", "NUM"], "terminals after an opening parenthesis");
+    assert.deepEqual(expected.nonterminals.sort(), ["args", "expr", "term"], "argument list predicted");
+
+    expected = parser.expectedAt("f(1 x; g(2, 3)", 3);
+    assert.deepEqual(expected.terminals.sort(), [")", "+", ","], "input after the offset is ignored");
+
+    expected = parser.expectedAt("abc;", 2);
+    assert.ok(expected.terminals.indexOf("EOF") !== -1, "token under the cursor is ignored");
+    assert.ok(expected.nonterminals.indexOf("stmt") !== -1, "statement predicted");
+
+    assert.strictEqual(parser.expectedAt("1 + + 2", 5), null, "syntax error before the offset");
+
+    assert.strictEqual(new Jison.Parser(grammar).expectedAt, undefined, "only with the expectedTokens option");
+};
+
+exports["test expected end of input at an offset"] = function () {
+    var parser = new Jison.Parser("%%\ne : e '+' NUM | NUM ;\n", {expectedTokens: true});
+    parser.lexer = new Lexer({rules: [["\\s+", "/* skip whitespace */"], ["[0-9]+", "return 'NUM';"], ["\\+", "return '+';"]]});
+
+    assert.deepEqual(parser.expectedAt("1 + 2", 5).terminals.sort(), ["$end", "+"], "end of input");
+    assert.deepEqual(parser.expectedAt("1 +", 3).terminals, ["NUM"], "no end of input after an operator");
+};
+
+exports["test %type and %token declarations"] = function () {
+    var grammar = "%token <number> NUM\n%type <Expr> e\n%%\n" +
+                  "e : e '+' NUM {$$ = {op: '+', args: [$1, $3]};} | NUM {$$ = {value: $1};} ;\n";
+
+    var gen = new Jison.Generator(grammar);
+    assert.deepEqual(gen.types, {NUM: "number", e: "Expr"}, "types recorded by symbol");
+
+    gen = new Jison.Generator({bnf: {list: [["list ITEM", "$$ = $1.concat([$2]);"], ["", "$$ = [];"]]}, types: {list: "string[]"}});
+    assert.deepEqual(gen.types, {list: "string[]"}, "types of a JSON grammar");
+};
+
+exports["test warnings for values of typed nonterminals"] = function () {
+    var grammar = "%token <number> NUM\n%type <Expr> e\n%type <Expr[]> list\n%type <Foo> missing\n%%\n" +
+                  "list : list e {$$ = $1.concat([$2]);} | ;\n" +
+                  "e : '(' e ')' {$2;} | NUM | ID {return $1;} | '-' e {$$ = {negate: $2};} | '[' e ']' ;\n";
+
+    var warnings = [];
+    var print = Jison.print;
+    Jison.print = function (message) { warnings.push(message); };
+    try {
+        new Jison.Generator(grammar);
+        new Jison.Generator("%type <Expr> e\n%type <Expr> term\n%%\ne : term ;\nterm : NUM {$$ = Number($1);} ;\n");
+    } finally {
+        Jison.print = print;
+    }
+    assert.deepEqual(warnings, [
+        "Warning: type <Foo> declared for missing, which is not in the grammar",
+        "Warning: rule 2 (list: ε) of typed nonterminal list <Expr[]> sets no value with $$",
+        "Warning: type clash on the default $$ = $1 of rule 3 (e: ( e )): <Expr> != <>",
+        "Warning: type clash on the default $$ = $1 of rule 4 (e: NUM): <Expr> != <number>",
+        "Warning: type clash on the default $$ = $1 of rule 7 (e: [ e ]): <Expr> != <>"
+    ], "actions assigning or returning a value, and $1 of the same type, are fine");
+};
@@ -0,0 +1,109 @@
+var Jison = require("../setup").Jison,
+    assert = require("assert");
+
+function conflictResolutions (gen) {
+    return gen.resolutions.filter(function (r) { return r[2].bydefault; });
+}
+
+exports["test counterexample for dangling else"] = function () {
+    var grammar = "%token IF THEN ELSE e other\n%%\n" +
+                  "stmt : IF e THEN stmt | IF e THEN stmt ELSE stmt | other ;\n";
+
+    var gen = new Jison.Generator(grammar, {counterexamples: true});
+    var conflicts = conflictResolutions(gen);
+    assert.equal(conflicts.length, 1, "one conflict");
+
+    var cex = conflicts[0][2].counterexample;
+    assert.equal(cex.type, "shift/reduce");
+    assert.equal(cex.token, "ELSE");
+    assert.ok(cex.unifying, "both derivations explain the same example");
+    assert.equal(cex.derivations[0].example, "IF e THEN IF e THEN stmt • ELSE stmt");
+    assert.equal(cex.derivations[0].action, "shift");
+    assert.equal(cex.derivations[1].action, "reduce");
+    assert.equal(cex.derivations[1].derivation.production.id, 2, "outer statement has the ELSE");
+    assert.equal(cex.derivations[1].derivation.children[3].production.id, 1, "inner statement is reduced");
+};
+
+exports["test counterexample for operator ambiguity"] = function () {
+    var grammar = "%%\nexpr : expr '+' expr | NUM ;\n";
+
+    var gen = new Jison.Generator(grammar, {counterexamples: true});
+    var cex = conflictResolutions(gen)[0][2].counterexample;
+    assert.ok(cex.unifying);
+    assert.equal(cex.derivations[0].example, "expr + expr • + expr");
+};
+
+exports["test counterexample for reduce/reduce conflict"] = function () {
+    var grammar = "%%\ns : a x | b x ;\na : NUM ;\nb : NUM ;\n";
+
+    var gen = new Jison.Generator(grammar, {counterexamples: true});
+    var cex = conflictResolutions(gen)[0][2].counterexample;
+    assert.equal(cex.type, "reduce/reduce");
+    assert.equal(cex.derivations[0].example, "NUM • x");
+    assert.equal(cex.derivations[1].example, "NUM • x");
+    assert.notEqual(cex.derivations[0].derivation.production.id, cex.derivations[1].derivation.production.id);
+};
+
+exports["test counterexample shows the lookahead token"] = function () {
+    var grammar = "%%\ns : a b ;\na : | a X ;\nb : | X b ;\n";
+
+    var gen = new Jison.Generator(grammar, {counterexamples: true, type: "slr"});
+    var cex = conflictResolutions(gen)[0][2].counterexample;
+    assert.equal(cex.token, "X");
+    cex.derivations.forEach(function (d) {
+        assert.ok(/• X/.test(d.example), "token follows the dot in " + d.example);
+    });
+};
+
+exports["test no counterexamples unless requested"] = function () {
+    var grammar = "%%\nexpr : expr '+' expr | NUM ;\n";
+
+    var gen = new Jison.Generator(grammar);
+    assert.equal(conflictResolutions(gen)[0][2].counterexample, undefined);
+};
+
+var danglingElse = "%%\nstmt : IF e THEN stmt | IF e THEN stmt ELSE stmt | other ;\n";
+
+exports["test %expect declares shift/reduce conflicts"] = function () {
+    var gen = new Jison.Generator("%expect 1\n" + danglingElse);
+    assert.equal(gen.options.expect, 1, "declaration read from grammar");
+    assert.equal(gen.conflicts, 1);
+
+    assert.throws(function () {
+        new Jison.Generator("%expect 2\n" + danglingElse);
+    }, /Expected 2 shift\/reduce conflict\(s\), found 1\n  State \d+ on ELSE/);
+};
+
+exports["test %expect-rr declares reduce/reduce conflicts"] = function () {
+    var grammar = "%lex\n%%\n\\s+ /* skip */\n[a-z] return yytext;\n/lex\n" +
+                  "%%\ns : a x | b x ;\na : y ;\nb : y ;\n";
+
+    var gen = new Jison.Generator("%expect-rr 1\n" + grammar);
+    assert.equal(gen.options["expect-rr"], 1);
+
+    assert.throws(function () {
+        new Jison.Generator("%expect 0\n" + grammar);
+    }, /Expected 0 reduce\/reduce conflict\(s\), found 1/, "%expect alone allows no reduce/reduce conflicts");
+};
+
+exports["test %expect from JSON grammar options"] = function () {
+    var grammar = {
+        options: {expect: 1},
+        bnf: {
+            stmt: ["IF e THEN stmt", "IF e THEN stmt ELSE stmt", "other"]
+        }
+    };
+
+    assert.equal(new Jison.Generator(grammar, {type: "lr"}).conflicts, 1);
+};
+
+exports["test strict mode fails on undeclared conflicts"] = function () {
+    assert.throws(function () {
+        new Jison.Generator(danglingElse, {strict: true});
+    }, /Expected 0 shift\/reduce conflict\(s\), found 1/);
+    assert.throws(function () {
+        new Jison.Generator("%%\nlist : ITEM list | ITEM | ;\n", {type: "ll", strict: true});
+    }, /Expected 0 prediction conflict\(s\), found 1/);
+
+    assert.equal(new Jison.Generator("%expect 1\n" + danglingElse, {strict: true}).conflicts, 1);
+};
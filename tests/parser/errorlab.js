@@ -203,3 +203,116 @@ exports["test bison error recovery example"] = function() {
 
     assert.ok(parser.parse("0+0++++>;0;"), "should recover");
 };
+
+exports["test JisonParseError carries error details"] = function () {
+    var grammar = {
+        bnf: {
+            "S" :[ [ "x y EOF", "return true;" ]]
+        }
+    };
+    var lexData = {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["x", "return 'x';"],
+           ["y", "return 'y';"],
+           ["$", "return 'EOF';"]
+        ]
+    };
+
+    var parser = new Jison.Parser(grammar);
+    parser.lexer = new Lexer(lexData);
+
+    var error;
+    try {
+        parser.parse("x x");
+    } catch (e) {
+        error = e;
+    }
+    assert.ok(error instanceof Jison.JisonParseError, "typed error");
+    assert.ok(error instanceof Error, "errors are Errors");
+    assert.equal(error.name, "JisonParseError", "error name");
+    assert.equal(error.token, "x", "offending token");
+    assert.equal(error.text, "x", "offending text");
+    assert.deepEqual(error.expected, ["'y'"], "expected terminals");
+    assert.equal(error.state, parser.table[0][parser.symbols_.x][1], "state after the first x");
+    assert.equal(error.loc.first_column, 2, "location of the offending token");
+    assert.equal(error.loc.last_column, 3, "location of the offending token");
+    assert.strictEqual(error.recoverable, false, "not recoverable");
+    assert.equal(error.hash.token, "x", "hash kept");
+};
+
+exports["test collect errors"] = function () {
+    var lexData = {
+        rules: [
+           ["0", "return 'ZERO';"],
+           ["\\+", "return 'PLUS';"],
+           [";", "return ';';"],
+           ["$", "return 'EOF';"],
+           [".", "return 'INVALID';"]
+        ]
+    };
+    var grammar = {
+        bnf: {
+            "S" :[ [ "stmts EOF",    "return $1" ]],
+            "stmts" :[ [ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                       [ "", "$$ = [];" ]],
+            "stmt" :[ [ "E ;",    "$$ = $1;" ],
+                      [ "error ;", "$$ = 'error';" ]],
+            "E" :[ [ "E PLUS ZERO", "$$ = ['+',$1,$3]"  ],
+                   [ "ZERO",        "$$ = 0" ]  ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {collectErrors: true});
+    parser.lexer = new Lexer(lexData);
+
+    var parsed = parser.parse("0+;0;++;");
+    assert.deepEqual(parsed.result, ["error", 0, "error"], "parse continues after recoverable errors");
+    assert.equal(parsed.diagnostics.length, 2, "every error collected");
+    assert.ok(parsed.diagnostics.every(function (error) { return error instanceof Jison.JisonParseError && error.recoverable; }), "typed errors");
+    assert.deepEqual(parsed.diagnostics.map(function (error) { return error.token; }), [";", "PLUS"], "offending tokens");
+
+    parsed = parser.parse("0;0");
+    assert.strictEqual(parsed.result, undefined, "no result after an unrecoverable error");
+    assert.equal(parsed.diagnostics.length, 1, "unrecoverable error collected");
+    assert.equal(parsed.diagnostics[0].token, "EOF", "offending token");
+    assert.strictEqual(parsed.diagnostics[0].recoverable, false, "recovery failed");
+
+    assert.deepEqual(parser.parse("0;").diagnostics, [], "no errors");
+};
+
+exports["test collect errors of nested parses"] = function () {
+    var lexData = {
+        rules: [
+           ["0", "return 'ZERO';"],
+           ["\\+", "return 'PLUS';"],
+           [";", "return ';';"],
+           ["$", "return 'EOF';"]
+        ]
+    };
+    var grammar = {
+        bnf: {
+            "S" :[ [ "stmts EOF",    "return $1" ]],
+            "stmts" :[ [ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                       [ "", "$$ = [];" ]],
+            "stmt" :[ [ "ZERO ;",  "$$ = yy.include ? yy.include() : 0;" ],
+                      [ "error ;", "$$ = 'error';" ]]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {collectErrors: true});
+    parser.lexer = new Lexer(lexData);
+
+    var included;
+    parser.yy.include = function () {
+        assert.ok(!Object.prototype.hasOwnProperty.call(parser.yy, "parseError"), "yy left as it is");
+        delete parser.yy.include;
+        included = parser.parse("+;0;");
+        return "included";
+    };
+    var parsed = parser.parse("0;;");
+    assert.deepEqual(parsed.result, ["included", "error"], "outer result");
+    assert.deepEqual(parsed.diagnostics.map(function (error) { return error.token; }), [";"], "outer errors");
+    assert.deepEqual(included.result, ["error", 0], "nested result");
+    assert.deepEqual(included.diagnostics.map(function (error) { return error.token; }), ["PLUS"], "nested errors");
+};
@@ -65,6 +65,165 @@ exports["test commonjs module generator"] = function () {
     assert.ok(exports.parse(input));
 };
 
+exports["test ES module generator"] = function () {
+    var lexData = {
+        rules: [
+           ["x", "return 'x';"],
+           ["y", "return 'y';"]
+        ]
+    };
+    var grammar = {
+        tokens: "x y",
+        startSymbol: "A",
+        bnf: {
+            "A" :[ 'A x',
+                   'A y',
+                   ''      ]
+        }
+    };
+
+    var input = "xyxxxy";
+    var gen = new Jison.Generator(grammar);
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generate({moduleType: "es"});
+    assert.ok(/\nexport \{ Parser, parse \};\nexport default parser;\n$/.test(parserSource), "named and default exports");
+    assert.equal(parserSource.indexOf("require"), -1, "no CommonJS sniffing");
+
+    // modules are strict mode code
+    var body = parserSource.replace(/^export .*$/mg, "");
+    var module = new Function("'use strict';\n" + body + "\nreturn {parser: parser, Parser: Parser, parse: parse};")();
+    assert.ok(module.parse(input));
+    assert.ok(new module.Parser().parse(input));
+    assert.ok(module.parser.parse(input));
+};
+
+exports["test UMD module generator"] = function () {
+    var lexData = {
+        rules: [
+           ["x", "return 'x';"],
+           ["y", "return 'y';"]
+        ]
+    };
+    var grammar = {
+        tokens: "x y",
+        startSymbol: "A",
+        bnf: {
+            "A" :[ 'A x',
+                   'A y',
+                   ''      ]
+        }
+    };
+
+    var input = "xyxxxy";
+    var gen = new Jison.Generator(grammar, {moduleType: "umd", moduleName: "parsey"});
+    gen.lexer = new Lexer(lexData);
+    var parserSource = gen.generate();
+
+    var module = {exports: {}};
+    new Function("module", "exports", parserSource)(module, module.exports);
+    assert.ok(module.exports.parse(input), "CommonJS");
+    assert.ok(module.exports.parser.parse(input));
+
+    var parser = null;
+    var define = function (deps, factory) {
+        parser = factory();
+    };
+    define.amd = {};
+    new Function("define", parserSource)(define);
+    assert.ok(parser.parse(input), "AMD");
+
+    var root = {};
+    new Function("self", parserSource)(root);
+    assert.ok(root.parsey.parse(input), "global");
+};
+
+exports["test TypeScript typings"] = function () {
+    var grammar = "%type <Array<string>> list\n%parse-param scope\n%%\n" +
+                  "list : list ITEM {$$ = $1.concat([$2]);} | {$$ = [];} ;\n";
+
+    var gen = new Jison.Generator(grammar);
+    var typings = gen.generateTypings();
+    assert.ok(typings.indexOf('export type Terminal = "error" | "ITEM";\n') !== -1, "terminal names");
+    assert.ok(typings.indexOf('    parse(input: string, scope: any): Array<string>;\n') !== -1, "typed parse method");
+    assert.ok(typings.indexOf('export declare function parse(input: string, scope: any): Array<string>;\n') !== -1, "typed parse export");
+    assert.ok(typings.indexOf('export interface ParseErrorHash {\n') !== -1, "parse error hash");
+    assert.ok(typings.indexOf('export declare function main(args: string[]): any;\n') !== -1, "CommonJS main");
+
+    assert.ok(typings.indexOf('export interface SemanticValues {\n    list: Array<string>;\n}\n') !== -1, "declared types");
+    assert.equal(typings.indexOf('traceSteps'), -1, "tracer only with the stepTracer option");
+    assert.ok(gen.generateTypings({stepTracer: true}).indexOf('    traceSteps(print?: (line: string) => void): Parser;\n') !== -1, "tracer");
+    assert.ok(typings.indexOf('export interface ParseEvent {\n') !== -1, "events of the instrumentation hooks");
+
+    typings = gen.generateTypings({moduleType: "es", collectErrors: true});
+    assert.ok(/\nexport default parser;\n$/.test(typings), "default export of an ES module");
+    assert.ok(typings.indexOf('parse(input: string, scope: any): {result: Array<string> | undefined, diagnostics: JisonParseError[]};') !== -1, "diagnostics of collectErrors mode");
+    assert.ok(gen.generateTypings({collectErrors: true, pushParser: true}).indexOf('    end(): {result: Array<string> | undefined, diagnostics: JisonParseError[]};\n') !== -1, "diagnostics of the push parser");
+    assert.ok(gen.generateTypings({collectErrors: true, asyncParser: true}).indexOf('    parseAsync(input: string, scope: any): Promise<{result: Array<string> | undefined, diagnostics: JisonParseError[]}>;\n') !== -1, "diagnostics of the asynchronous parse");
+
+    typings = gen.generateTypings();
+    ["simulate", "expectedAt", "createPushParser", "PushParser", "parseAsync"].forEach(function (member) {
+        assert.equal(typings.indexOf(member), -1, member + " only with its option");
+    });
+    typings = gen.generateTypings({expectedTokens: true, asyncParser: true});
+    assert.ok(typings.indexOf('    expectedAt(input: string, offset: number): {terminals: string[], nonterminals: string[], state: number} | null;\n') !== -1, "expected tokens");
+    assert.ok(typings.indexOf('    simulate(states: number[], symbol: number, visit?: (state: number) => void): number[] | true | null;\n') !== -1, "simulation");
+    assert.ok(typings.indexOf('    createPushParser(scope: any): PushParser;\n') !== -1, "push parser");
+    assert.ok(typings.indexOf('    end(): Array<string>;\n') !== -1, "result of the push parser");
+    assert.ok(typings.indexOf('    parseAsync(input: string, scope: any): Promise<Array<string>>;\n') !== -1, "asynchronous parse");
+
+    typings = gen.generateTypings({errorRepair: true});
+    assert.ok(typings.indexOf('    repairs: ParseErrorHash[];\n') !== -1, "repairs of error repair mode");
+
+    typings = gen.generateTypings({moduleType: "amd"});
+    assert.ok(typings.indexOf('declare namespace parser {\n    export type Terminal') !== -1, "types in a namespace");
+    assert.ok(/\ndeclare var parser: parser.Parser;\nexport = parser;\n$/.test(typings), "AMD module is the parser");
+
+    typings = new Jison.Generator("%%\nlist : list ITEM | ;\n").generateTypings({moduleType: "js", moduleName: "items"});
+    assert.ok(typings.indexOf('        parse(input: string): any;\n') !== -1, "untyped result");
+    assert.equal(typings.indexOf('SemanticValues'), -1, "no declared types");
+    assert.ok(/\ndeclare var items: items.Parser;\n$/.test(typings), "global parser");
+};
+
+exports["test source map of generated parser"] = function () {
+    var SourceMapConsumer = require("source-map").SourceMapConsumer;
+    var grammar = "%lex\n%%\n\\s+ /* skip */\n[0-9]+ return 'NUM'\n\"+\" return '+'\n<<EOF>> return 'EOF'\n/lex\n" +
+                  "%{\nvar helper = 1;\n%}\n%left '+'\n%%\n" +
+                  "s : e EOF {return $1;} ;\n" +
+                  "e : e '+' e\n      {\n        $$ = $1 + $3;\n      }\n  | NUM -> Number($1)\n  ;\n" +
+                  "%%\nfunction twice (n) { return 2 * n; }\n";
+
+    var gen = new Jison.Generator(grammar, {sourceMap: true, grammarFile: "calc.jison"});
+    var parserSource = gen.generate();
+    var match = /\n\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.*)\n$/.exec(parserSource);
+    assert.ok(match, "inline source map");
+
+    var map = JSON.parse(Buffer.from(match[1], "base64").toString());
+    assert.deepEqual(map.sources, ["calc.jison"], "grammar file");
+    assert.equal(map.sourcesContent[0], grammar, "grammar source");
+
+    var consumer = new SourceMapConsumer(map);
+    var lines = parserSource.split("\n");
+    function original (text) {
+        for (var i = 0; i < lines.length; i++) {
+            var column = lines[i].indexOf(text);
+            if (column !== -1) return consumer.originalPositionFor({line: i + 1, column: column});
+        }
+    }
+    assert.equal(original("this.$ = $$[$0-2] + $$[$0];").line, 16, "action written over several lines");
+    assert.equal(original("return $$[$0-1];").line, 13, "action of the start rule");
+    assert.equal(original("this.$ = Number($$[$0]);").line, 18, "action written as an expression");
+    assert.equal(original("var helper = 1;").line, 9, "code block of the declarations");
+    assert.equal(original("function twice (n)").line, 21, "code after the rules");
+    assert.equal(original("symbols_: ").source, null, "parser code");
+
+    var exports = {};
+    eval(parserSource);
+    assert.equal(exports.parse("1 + 2"), 3, "generated parser runs");
+
+    assert.equal(new Jison.Generator(grammar).generate().indexOf("sourceMappingURL"), -1, "only when asked for");
+};
+
 exports["test module generator"] = function () {
     var lexData = {
         rules: [
@@ -343,7 +502,7 @@ exports["test module include with each generator type"] = function () {
 
     var gen = new Jison.Parser(grammar);
     gen.lexer = new Lexer(lexData);
-    ['generateModule', 'generateAMDModule', 'generateCommonJSModule']
+    ['generateModule', 'generateAMDModule', 'generateCommonJSModule', 'generateESModule', 'generateUMDModule']
     .map(function(type) {
       var source = gen[type]();
       assert.ok(/TEST_VAR/.test(source), type + " supports module include");
@@ -0,0 +1,133 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["\\+", "return '+';"],
+       ["\\*", "return '*';"],
+       ["$", "return 'EOF';"]
+    ]
+};
+
+// ambiguous expression grammar, without precedence declarations
+var grammar = {
+    bnf: {
+        "S" :[[ "e EOF", "return $1;" ]],
+        "e" :[[ "e + e", "$$ = '(' + $1 + '+' + $3 + ')';" ],
+              [ "e * e", "$$ = '(' + $1 + '*' + $3 + ')';" ],
+              [ "NUM", "$$ = yytext;" ]]
+    }
+};
+
+exports["test GLR parser with a single parse"] = function () {
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer(lexData);
+
+    assert.equal(parser.parse("1"), "1");
+    assert.equal(parser.parse("1 + 2"), "(1+2)");
+    assert.throws(function () {parser.parse("1 + ");}, "throws parse error on incomplete input");
+};
+
+exports["test GLR parser returns the forest of an ambiguous parse"] = function () {
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer(lexData);
+
+    var forest = parser.parse("1 + 2 * 3");
+    assert.equal(forest.symbol, "S");
+    assert.equal(forest.start, 0);
+    assert.equal(forest.end, 6, "five tokens and the end of input");
+
+    var e = forest.alternatives[0].children[0];
+    assert.equal(e.symbol, "e");
+    assert.equal(e.alternatives.length, 2, "two ways to derive the expression");
+    assert.deepEqual(e.alternatives.map(function (a) { return a.production; }).sort(), [2, 3]);
+
+    var plus = e.alternatives.filter(function (a) { return a.production === 2; })[0],
+        times = e.alternatives.filter(function (a) { return a.production === 3; })[0];
+    var num = plus.children[0].alternatives[0].children[0];
+    assert.equal(num.symbol, "NUM");
+    assert.equal(num.text, "1");
+    assert.strictEqual(plus.children[0], times.children[0].alternatives[0].children[0],
+        "subtrees are shared between alternatives");
+};
+
+exports["test GLR merge function"] = function () {
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer(lexData);
+
+    var merged = [];
+    parser.yy.merge = function (first, second, symbol) {
+        merged.push(symbol);
+        return [first, second].sort()[0];
+    };
+
+    assert.equal(parser.parse("1 + 2 * 3"), "((1+2)*3)");
+    assert.deepEqual(merged, ["e"]);
+};
+
+exports["test GLR parser with nullable hidden left recursion"] = function () {
+    var grammar = {
+        bnf: {
+            "S" :[[ "A S x", "$$ = $2 + 1;" ],
+                  [ "x", "$$ = 1;" ]],
+            "A" :[ "" ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer({rules: [["x", "return 'x';"]]});
+
+    assert.ok(parser.parse("xxx"));
+};
+
+exports["test GLR parse error"] = function () {
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer(lexData);
+
+    var hash;
+    parser.yy.parseError = function (str, h) {
+        hash = h;
+    };
+    assert.throws(function () {parser.parse("1 + * 2")}, Jison.JisonParseError, "throws parse error");
+    assert.equal(hash.token, "*", "offending token");
+    assert.deepEqual(hash.expected, ["'NUM'"], "expected tokens");
+    assert.equal(hash.recoverable, false, "not recoverable");
+
+    delete parser.yy.parseError;
+    assert.throws(function () {parser.parse("1 + * 2")}, function (e) {
+        return e instanceof Jison.JisonParseError && e.token === "*" && e.hash.expected[0] === "'NUM'";
+    }, "default parseError");
+};
+
+exports["test GLR parser evaluates a long left-recursive list"] = function () {
+    var grammar = {
+        bnf: {
+            "S"    :[[ "list EOF", "return $1;" ]],
+            "list" :[[ "list NUM", "$$ = $1 + 1;" ],
+                     [ "NUM", "$$ = 1;" ]]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {glr: true});
+    parser.lexer = new Lexer(lexData);
+
+    assert.equal(parser.parse(new Array(3001).join("1 ")), 3000, "3000 items");
+};
+
+exports["test GLR commonjs module generator"] = function () {
+    var gen = new Jison.Generator(grammar, {glr: true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    exports.parser.yy.merge = function (first, second) {
+        return first.length < second.length ? first : second;
+    };
+    assert.equal(exports.parse("1 * 2"), "(1*2)", "generated parser should parse");
+    assert.equal(typeof exports.parse("1 * 2 + 3"), "string", "generated parser should merge");
+};
@@ -0,0 +1,156 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["[a-z][a-z0-9]*", "return 'ID';"],
+       ["\\(", "return '(';"],
+       ["\\)", "return ')';"],
+       [",", "return ',';"],
+       [";", "return ';';"],
+       ["\\+", "return '+';"]
+    ]
+};
+
+var grammar = {
+    bnf: {
+        "prog"  :[[ "stmts", "return $1;" ]],
+        "stmts" :[[ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                  [ "", "$$ = [];" ]],
+        "stmt"  :[[ "expr ;", "$$ = {expr: $1};" ]],
+        "expr"  :[[ "expr + term", "$$ = ['+', $1, $3];" ],
+                  [ "term", "$$ = $1;" ]],
+        "term"  :[[ "NUM", "$$ = Number($1);" ],
+                  [ "ID", "$$ = $1;" ],
+                  [ "ID ( args )", "$$ = {call: $1, args: $3};" ]],
+        "args"  :[[ "args , expr", "$$ = $1.concat([$3]);" ],
+                  [ "expr", "$$ = [$1];" ]]
+    }
+};
+
+function source (count) {
+    var lines = [];
+    for (var i = 0; i < count; i++) {
+        lines.push("a" + i + " + f(" + i + ", b);");
+    }
+    return lines.join("\n");
+}
+
+function incrementalParser () {
+    var parser = new Jison.Parser(grammar, {incremental: true});
+    parser.lexer = new Lexer(lexData);
+    return parser;
+}
+
+exports["test incremental parse"] = function () {
+    var parser = incrementalParser();
+
+    var parsed = parser.parseIncremental("a + 1; f(b, 2);");
+    assert.deepEqual(parsed.result.map(function (stmt) { return stmt.expr; }), [["+", "a", 1], {call: "f", args: ["b", 2]}], "parse result");
+    assert.equal(parsed.tokens.length, 12, "tokens recorded, with the end of input");
+    assert.equal(parsed.stats.relexed, 12, "every token lexed");
+};
+
+exports["test reparse after an edit"] = function () {
+    var parser = incrementalParser();
+
+    var parsed = parser.parseIncremental(source(20));
+    var start = parsed.input.indexOf("a10 +") + 4;
+    var reparsed = parser.reparse(parsed, {start: start, deleted: 1, inserted: "+ 7 +"});
+
+    assert.equal(reparsed.input, parsed.input.slice(0, start) + "+ 7 +" + parsed.input.slice(start + 1), "edited input");
+    assert.deepEqual(reparsed.result, parser.parseIncremental(reparsed.input).result, "same result as a full parse");
+    assert.deepEqual(reparsed.result[10].expr, ["+", ["+", "a10", 7], {call: "f", args: [10, "b"]}], "edited statement");
+    assert.ok(reparsed.stats.relexed < 5, "only the damaged region lexed again");
+    assert.equal(reparsed.stats.reusedNodes, 10, "call and statements after the edit reused");
+    assert.strictEqual(reparsed.result[15].expr, parsed.result[15].expr, "values of reused statements kept");
+};
+
+exports["test reparse moves locations past the edit"] = function () {
+    var parser = incrementalParser();
+
+    var parsed = parser.parseIncremental(source(5));
+    var reparsed = parser.reparse(parsed, {start: parsed.input.indexOf("a2"), deleted: 0, inserted: "x;\n\n  "});
+    var full = parser.parseIncremental(reparsed.input);
+
+    assert.deepEqual(reparsed.tokens.map(function (token) { return [token.start, token.end, token.yylloc]; }),
+                     full.tokens.map(function (token) { return [token.start, token.end, token.yylloc]; }), "token locations");
+    assert.deepEqual(reparsed.result, full.result, "same result as a full parse");
+};
+
+exports["test reparse moves trees past the edit"] = function () {
+    var treeGrammar = {bnf: {}};
+    for (var symbol in grammar.bnf) {
+        treeGrammar.bnf[symbol] = grammar.bnf[symbol].map(function (alternative) { return alternative[0]; });
+    }
+    var parser = new Jison.Parser(treeGrammar, {incremental: true, buildTree: true});
+    parser.lexer = new Lexer(lexData);
+
+    var parsed = parser.parseIncremental(source(5));
+    var reparsed = parser.reparse(parsed, {start: parsed.input.indexOf("a2"), deleted: 0, inserted: "x;\n\n  "});
+
+    assert.ok(reparsed.stats.reusedNodes > 0, "statements reused");
+    assert.deepEqual(reparsed.result, parser.parseIncremental(reparsed.input).result, "same tree as a full parse");
+};
+
+exports["test successive reparses"] = function () {
+    var parser = incrementalParser();
+
+    var parsed = parser.parseIncremental(source(10));
+    [
+        function () { return {start: 0, deleted: 0, inserted: "q; "}; },
+        function () { return {start: parsed.input.indexOf("a3"), deleted: 2, inserted: "g(1, h(2))"}; },
+        function () { return {start: parsed.input.indexOf("a5"), deleted: 0, inserted: "\n"}; },
+        function () { return {start: parsed.input.indexOf("(6, b)") + 1, deleted: 3, inserted: ""}; },
+        function () { return {start: 0, deleted: 3, inserted: ""}; }
+    ].forEach(function (edit) {
+        parsed = parser.reparse(parsed, edit());
+        assert.deepEqual(parsed.result, parser.parseIncremental(parsed.input).result, "same result as a full parse");
+    });
+    parsed = parser.reparse(parsed, {start: parsed.input.length, deleted: 0, inserted: " z;"});
+    assert.equal(parsed.result.length, 11, "statement appended");
+};
+
+exports["test reparse error"] = function () {
+    var parser = incrementalParser();
+
+    var parsed = parser.parseIncremental(source(3));
+    assert.throws(function () {
+        parser.reparse(parsed, {start: 2, deleted: 0, inserted: " ("});
+    }, Jison.JisonParseError, "syntax error in the edited input");
+};
+
+exports["test parse params of incremental parses"] = function () {
+    var paramGrammar = {bnf: {}, parseParams: ["scope"]};
+    for (var symbol in grammar.bnf) {
+        paramGrammar.bnf[symbol] = grammar.bnf[symbol];
+    }
+    paramGrammar.bnf.term = [[ "NUM", "$$ = Number($1) * scope.factor;" ]].concat(grammar.bnf.term.slice(1));
+    var parser = new Jison.Parser(paramGrammar, {incremental: true});
+    parser.lexer = new Lexer(lexData);
+
+    var parsed = parser.parseIncremental("1; 2;", null, null, {factor: 10});
+    assert.deepEqual(parsed.result.map(function (stmt) { return stmt.expr; }), [10, 20], "incremental parse");
+    var reparsed = parser.reparse(parsed, {start: 3, deleted: 1, inserted: "3 + 4"}, {factor: 10});
+    assert.deepEqual(reparsed.result.map(function (stmt) { return stmt.expr; }), [10, ["+", 30, 40]], "reparse");
+};
+
+exports["test incremental parsing in generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {incremental: true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    var parsed = exports.parser.parseIncremental(source(3));
+    var reparsed = exports.parser.reparse(parsed, {start: 0, deleted: 2, inserted: "c"});
+    assert.equal(reparsed.result[0].expr[1], "c", "edited statement");
+    assert.equal(reparsed.result.length, 3, "all statements");
+
+    gen = new Jison.Generator(grammar);
+    assert.equal(gen.generate().indexOf("parseIncremental"), -1, "only in incremental mode");
+};
@@ -0,0 +1,44 @@
+var Jison = require("../setup").Jison,
+    assert = require("assert");
+
+function findings (grammar, options) {
+    return new Jison.Generator(grammar, options).lint().map(function (finding) {
+        return [finding.type, finding.symbol || finding.production.id];
+    });
+}
+
+exports["test lint of a clean grammar"] = function () {
+    var grammar = "%token NUM '+'\n%left '+'\n%%\ns : e EOF ;\ne : e '+' e | NUM | '(' e ')' ;\n";
+
+    assert.deepEqual(findings(grammar), [], "no findings for EOF and quoted literals");
+    assert.deepEqual(findings("%%\ns : e EOF ;\ne : e '+' NUM | NUM ;\n"), [], "tokens not checked without %token");
+};
+
+exports["test lint of unreachable and unproductive nonterminals"] = function () {
+    var grammar = "%%\ns : e | loop ;\ne : NUM ;\norphan : NUM ;\nloop : loop NUM ;\n";
+
+    var gen = new Jison.Generator(grammar);
+    assert.deepEqual(findings(grammar), [["unproductive", "loop"], ["unreachable", "orphan"]], "findings");
+    assert.equal(gen.lint()[1].message, "Nonterminal orphan is unreachable from the start symbol s", "message");
+};
+
+exports["test lint of declared and used tokens"] = function () {
+    var grammar = "%token <number> NUM\n%token ID \"UNUSED\" 300\n%%\ns : NUM | ID | STR ;\n";
+
+    assert.deepEqual(findings(grammar), [["unused-token", "UNUSED"], ["undeclared-token", "STR"]], "findings");
+};
+
+exports["test lint of precedence resolving no conflict"] = function () {
+    var grammar = "%left '+' '-'\n%left '*'\n%right UMINUS\n%right '^'\n%%\n" +
+                  "e : e '+' e | e '-' e | '-' e %prec UMINUS | NUM ;\n";
+
+    assert.deepEqual(findings(grammar), [["useless-precedence", "*"], ["useless-precedence", "^"]], "operators never deciding a conflict");
+};
+
+exports["test lint of duplicate productions"] = function () {
+    var grammar = "%%\ns : e ;\ne : NUM | e NUM | NUM ;\n";
+
+    var lint = new Jison.Generator(grammar).lint();
+    assert.deepEqual(findings(grammar), [["duplicate-production", 4]], "findings");
+    assert.equal(lint[0].message, "rule 4 (e: NUM) duplicates rule 2", "message");
+};
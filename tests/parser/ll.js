@@ -0,0 +1,144 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["\\+", "return '+';"],
+       ["\\*", "return '*';"],
+       ["\\(", "return '(';"],
+       ["\\)", "return ')';"],
+       ["$", "return 'EOF';"]
+    ]
+};
+
+// expression grammar with left recursion removed
+var grammar = {
+    bnf: {
+        "S"  :[[ "E EOF", "return $1;" ]],
+        "E"  :[[ "T E2", "$$ = $2 === null ? $1 : $1 + $2;" ]],
+        "E2" :[[ "+ T E2", "$$ = $3 === null ? $2 : $2 + $3;" ],
+               [ "", "$$ = null;" ]],
+        "T"  :[[ "F T2", "$$ = $2 === null ? $1 : $1 * $2;" ]],
+        "T2" :[[ "* F T2", "$$ = $3 === null ? $2 : $2 * $3;" ],
+               [ "", "$$ = null;" ]],
+        "F"  :[[ "NUM", "$$ = Number(yytext);" ],
+               [ "( E )", "$$ = $2;" ]]
+    }
+};
+
+exports["test LL parser"] = function () {
+    var grammar = {
+        tokens: [ 'x' ],
+        startSymbol: "A",
+        bnf: {
+            "A" :[ 'x A',
+                   ''      ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {type: "ll"});
+    parser.lexer = new Lexer({rules: [["x", "return 'x';"], ["y", "return 'y';"]]});
+
+    assert.ok(parser.parse('xxx'), "parse 3 x's");
+    assert.ok(parser.parse(''), "parse empty input");
+    assert.throws(function () {parser.parse('xy')}, "throws parse error on invalid token");
+};
+
+exports["test LL semantic actions"] = function () {
+    var parser = new Jison.Parser(grammar, {type: "ll"});
+    parser.lexer = new Lexer(lexData);
+
+    assert.equal(parser.parse("2 + 3 * (4 + 1)"), 17, "should evaluate expression");
+    assert.equal(parser.parse("2 * 3 + 4"), 10, "should evaluate expression");
+};
+
+exports["test LL parse error"] = function () {
+    var parser = new Jison.Parser(grammar, {type: "ll"});
+    parser.lexer = new Lexer(lexData);
+
+    var hash;
+    parser.yy.parseError = function (str, h) {
+        hash = h;
+    };
+    assert.throws(function () {parser.parse("2 + * 3")}, Jison.JisonParseError, "throws parse error");
+    assert.equal(hash.token, "*", "offending token");
+    assert.deepEqual(hash.expected.sort(), ["'('", "'NUM'"], "expected tokens");
+    assert.equal(hash.recoverable, false, "not recoverable");
+};
+
+exports["test LL locations"] = function () {
+    var grammar = {
+        bnf: {
+            "S" :[[ "A EOF", "return @1;" ]],
+            "A" :[[ "x y", "$$ = @$;" ]]
+        }
+    };
+    var lexData = {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["x", "return 'x';"],
+           ["y", "return 'y';"],
+           ["$", "return 'EOF';"]
+        ]
+    };
+
+    var parser = new Jison.Parser(grammar, {type: "ll"});
+    parser.lexer = new Lexer(lexData);
+
+    var loc = parser.parse("\n  x\n y");
+    assert.equal(loc.first_line, 2, "first line");
+    assert.equal(loc.first_column, 2, "first column");
+    assert.equal(loc.last_line, 3, "last line");
+    assert.equal(loc.last_column, 2, "last column");
+};
+
+exports["test LL commonjs module generator"] = function () {
+    var gen = new Jison.Generator(grammar, {type: "ll"});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    assert.equal(exports.parse("1 + 2 * 3"), 7, "generated parser should evaluate expression");
+};
+
+exports["test LL amd module generator"] = function () {
+    var gen = new Jison.Generator(grammar, {type: "ll"});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateAMDModule();
+    var parser = null,
+        define = function(callback){
+            // temporary AMD-style define function, for testing.
+            parser = callback();
+        };
+    eval(parserSource);
+
+    assert.equal(parser.parse("(1 + 2) * 3"), 9, "generated parser should evaluate expression");
+};
+
+exports["test LL generator refuses left recursion"] = function () {
+    assert.throws(function () {
+        new Jison.Generator("%%\ne : e '+' NUM | NUM ;\n", {type: "ll"});
+    }, /Grammar is left-recursive in e and/, "direct left recursion");
+    assert.throws(function () {
+        new Jison.Generator("%%\ns : a ;\na : b a x | x ;\nb : s | ;\n", {type: "ll"});
+    }, /Grammar is left-recursive in s, a, b and/, "indirect left recursion through a nullable symbol");
+};
+
+exports["test LL prediction conflicts against %expect and strict mode"] = function () {
+    var grammar = "%%\ns : a | b ;\na : x ;\nb : x ;\n";
+
+    assert.equal(new Jison.Generator(grammar, {type: "ll"}).conflicts, 1, "reported and kept by default");
+    assert.equal(new Jison.Generator(grammar, {type: "ll", expect: 1}).conflicts, 1, "as declared");
+    assert.throws(function () {
+        new Jison.Generator(grammar, {type: "ll", expect: 0});
+    }, /Expected 0 prediction conflict\(s\), found 1/, "more than declared");
+    assert.throws(function () {
+        new Jison.Generator(grammar, {type: "ll", strict: true});
+    }, /Expected 0 prediction conflict\(s\), found 1/, "undeclared in strict mode");
+};
@@ -0,0 +1,101 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+exports["test xx nullable grammar"] = function () {
+    var lexData = {
+        rules: [
+           ["x", "return 'x';"],
+           ["y", "return 'y';"]
+        ]
+    };
+    var grammar = {
+        tokens: [ 'x' ],
+        startSymbol: "A",
+        bnf: {
+            "A" :[ 'A x',
+                   ''      ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {type: "mlr"});
+    parser.lexer = new Lexer(lexData);
+
+    assert.ok(parser.parse("xxx"), "parse");
+    assert.ok(parser.parse("x"), "parse single x");
+    assert.throws(function (){parser.parse("+");}, "throws parse error on invalid");
+};
+
+// LALR(1) merges the states reducing E and F, causing a reduce/reduce conflict
+var notLALR = {
+    tokens: "a b c d e",
+    startSymbol: "S",
+    bnf: {
+        "S" :[ "a E c", "a F d", "b F c", "b E d" ],
+        "E" :[ "e" ],
+        "F" :[ "e" ]
+    }
+};
+
+exports["test LR(1) grammar that is not LALR(1)"] = function () {
+    var lexData = {
+        rules: [
+           ["[a-e]", "return yytext;"]
+        ]
+    };
+
+    var gen = new Jison.Generator(notLALR, {type: "mlr"});
+    assert.equal(gen.conflicts, 0, "no conflicts");
+    assert.equal(gen.states.size(), new Jison.Generator(notLALR, {type: "lr"}).states.size(), "conflicting state split");
+
+    var parser = gen.createParser();
+    parser.lexer = new Lexer(lexData);
+    ["aec", "aed", "bec", "bed"].forEach(function (input) {
+        assert.ok(parser.parse(input), "parse " + input);
+    });
+    assert.throws(function (){parser.parse("ae");}, "throws parse error on incomplete input");
+};
+
+exports["test compatible states are merged"] = function () {
+    var grammar = {
+        tokens: "( ) x",
+        startSymbol: "S",
+        bnf: {
+            "S" :[ "( S )", "x" ]
+        }
+    };
+
+    var mlr = new Jison.Generator(grammar, {type: "mlr"}),
+        lalr = new Jison.Generator(grammar, {type: "lalr"}),
+        lr1 = new Jison.Generator(grammar, {type: "lr"});
+
+    assert.equal(mlr.states.size(), lalr.states.size(), "as many states as LALR(1)");
+    assert.ok(mlr.states.size() < lr1.states.size(), "fewer states than canonical LR(1)");
+    assert.deepEqual(mlr.table, lalr.table, "same table as LALR(1)");
+};
+
+exports["test conflicts resolved by precedence"] = function () {
+    var grammar = {
+        operators: [["left", "+"], ["left", "*"]],
+        bnf: {
+            "S" :[[ "e EOF", "return $1;" ]],
+            "e" :[[ "e + e", "$$ = $1 + $3;" ],
+                  [ "e * e", "$$ = $1 * $3;" ],
+                  [ "NUM", "$$ = Number(yytext);" ]]
+        }
+    };
+    var lexData = {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["[0-9]+", "return 'NUM';"],
+           ["\\+", "return '+';"],
+           ["\\*", "return '*';"],
+           ["$", "return 'EOF';"]
+        ]
+    };
+
+    var parser = new Jison.Parser(grammar, {type: "mlr"});
+    parser.lexer = new Lexer(lexData);
+
+    assert.equal(parser.parse("1 + 2 * 3 + 4"), 11, "precedence respected");
+};
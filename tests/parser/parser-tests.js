@@ -3,11 +3,24 @@ exports.testLR0 = require("./lr0");
 exports.testSLR = require("./slr");
 exports.testLALR = require("./lalr");
 exports.testLR1 = require("./lr1");
+exports.testMLR = require("./mlr");
 exports.testAST = require("./actions");
 exports.testTables = require("./tables");
 exports.testPrecedence = require("./precedence");
 exports.testGenerator = require("./generator");
 exports.testErrorLab = require("./errorlab");
+exports.testLL = require("./ll");
+exports.testGLR = require("./glr");
+exports.testPush = require("./push");
+exports.testRepair = require("./repair");
+exports.testIncremental = require("./incremental");
+exports.testSentences = require("./sentences");
+exports.testLint = require("./lint");
+exports.testSerialize = require("./serialize");
+exports.testTrace = require("./trace");
+exports.testTree = require("./tree");
+exports.testConflicts = require("./conflicts");
+exports.testReport = require("./report");
 
 if (require.main === module)
     require("test").run(exports);
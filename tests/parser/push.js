@@ -0,0 +1,330 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var grammar = {
+    bnf: {
+        "S" :[[ "e EOF", "return $1;" ]],
+        "e" :[[ "e + t", "$$ = $1 + $3;" ],
+              [ "t", "$$ = $1;" ]],
+        "t" :[[ "t * f", "$$ = $1 * $3;" ],
+              [ "f", "$$ = $1;" ]],
+        "f" :[[ "NUM", "$$ = Number(yytext);" ],
+              [ "( e )", "$$ = $2;" ]]
+    }
+};
+
+exports["test push parser"] = function () {
+    var parser = new Jison.Parser(grammar, {pushParser: true});
+
+    var push = parser.createPushParser();
+    [["NUM", "2"], ["*"], ["("], ["NUM", "3"], ["+"], ["NUM", "4"], [")"], ["EOF"]].forEach(function (token) {
+        push.push(token[0], token[1]);
+    });
+    assert.equal(push.end(), 14, "should evaluate pushed tokens");
+
+    assert.throws(function () {push.push("NUM", "1");}, /finished/, "no tokens after the end");
+};
+
+exports["test push parser keeps separate state per instance"] = function () {
+    var parser = new Jison.Parser(grammar, {pushParser: true});
+
+    var a = parser.createPushParser(),
+        b = parser.createPushParser();
+    a.push("NUM", "1");
+    b.push("NUM", "2");
+    a.push("+");
+    b.push("*");
+    a.push(parser.symbols_.NUM, "3");
+    b.push("NUM", "5");
+    a.push("EOF");
+    b.push("EOF");
+
+    assert.equal(a.end(), 4);
+    assert.equal(b.end(), 10);
+};
+
+exports["test push parser locations"] = function () {
+    var grammar = {
+        bnf: {
+            "S" :[[ "A EOF", "return @1;" ]],
+            "A" :[[ "x y", "$$ = @$;" ]]
+        }
+    };
+
+    var push = new Jison.Parser(grammar, {pushParser: true}).createPushParser();
+    push.push("x", "x", {first_line: 2, first_column: 2, last_line: 2, last_column: 3});
+    push.push("y", "y", {first_line: 3, first_column: 1, last_line: 3, last_column: 2});
+    push.push("EOF");
+
+    var loc = push.end();
+    assert.equal(loc.first_line, 2, "first line");
+    assert.equal(loc.first_column, 2, "first column");
+    assert.equal(loc.last_line, 3, "last line");
+    assert.equal(loc.last_column, 2, "last column");
+};
+
+exports["test push parser error"] = function () {
+    var parser = new Jison.Parser(grammar, {pushParser: true});
+
+    var hash;
+    parser.yy.parseError = function (str, h) {
+        hash = h;
+        throw new Error(str);
+    };
+    var push = parser.createPushParser();
+    push.push("NUM", "1");
+    push.push("+");
+    assert.throws(function () {push.push("*");}, /Unexpected '\*'/);
+    assert.equal(hash.token, "*", "offending token");
+    assert.deepEqual(hash.expected.sort(), ["'('", "'NUM'"], "expected tokens");
+};
+
+exports["test push parser error recovery"] = function () {
+    var grammar = {
+        bnf: {
+            "A" :['A x',
+                  ['A y', "return 'recovery'"],
+                  'A error',
+                   ''      ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {type: "lr0", pushParser: true});
+
+    var push = parser.createPushParser();
+    ["x", "x", "ERR", "ERR", "y"].forEach(function (token) {
+        push.push(token, token);
+    });
+    assert.equal(push.end(), "recovery", "should recover from errors");
+};
+
+// pushes the tokens lexer reads from input, then ends the parse
+function pushInput (push, lexer, input) {
+    var token;
+    lexer.setInput(input);
+    while ((token = lexer.lex()) !== lexer.EOF && push.push(token, lexer.yytext, lexer.yylloc)) {}
+    return push.end();
+}
+
+exports["test push parser ranges"] = function () {
+    var grammar = {
+        lex: {
+            options: {ranges: true},
+            rules: [["\\s+", "/* skip whitespace */"], ["x+", "return 'x';"], ["y+", "return 'y';"], ["$", "return 'EOF';"]]
+        },
+        bnf: {
+            "S" :[[ "A EOF", "return @1.range;" ]],
+            "A" :[[ "x y", "" ]]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {pushParser: true});
+    assert.deepEqual(parser.parse("xxx yy"), [0, 6], "parse");
+    assert.deepEqual(pushInput(parser.createPushParser(), parser.lexer, "xxx yy"), [0, 6], "push parser");
+};
+
+exports["test push parser collecting errors"] = function () {
+    var grammar = {
+        lex: {
+            rules: [["0", "return 'ZERO';"], ["\\+", "return 'PLUS';"], [";", "return ';';"], ["$", "return 'EOF';"]]
+        },
+        bnf: {
+            "S" :[ [ "stmts EOF",    "return $1" ]],
+            "stmts" :[ [ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                       [ "", "$$ = [];" ]],
+            "stmt" :[ [ "E ;",    "$$ = $1;" ],
+                      [ "error ;", "$$ = 'error';" ]],
+            "E" :[ [ "E PLUS ZERO", "$$ = ['+',$1,$3]"  ],
+                   [ "ZERO",        "$$ = 0" ]  ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {collectErrors: true, pushParser: true});
+    var parsed = pushInput(parser.createPushParser(), parser.lexer, "0+;0;++;");
+    assert.deepEqual(parsed.result, ["error", 0, "error"], "parse continues after recoverable errors");
+    assert.deepEqual(parsed.diagnostics.map(function (error) { return error.token; }), [";", "PLUS"], "errors collected");
+    assert.ok(parsed.diagnostics.every(function (error) { return error instanceof Jison.JisonParseError; }), "typed errors");
+
+    var push = parser.createPushParser();
+    push.push("ZERO", "0");
+    push.push(";");
+    push.push("ZERO", "0");
+    push.push("EOF");
+    parsed = push.end();
+    assert.strictEqual(parsed.result, undefined, "no result");
+    assert.equal(parsed.diagnostics.length, 1, "unrecoverable error collected");
+    assert.strictEqual(parsed.diagnostics[0].recoverable, false, "recovery failed");
+};
+
+exports["test push parser error repair"] = function () {
+    var grammar = {
+        bnf: {
+            "prog"  :[[ "stmts EOF", "return $1;" ]],
+            "stmts" :[[ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                      [ "", "$$ = [];" ]],
+            "stmt"  :[[ "ID = NUM ;", "$$ = $1 + '=' + $3;" ]]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {errorRepair: true, pushParser: true});
+    var push = parser.createPushParser();
+    [["ID", "a"], ["="], ["NUM", "1"], ["ID", "b"], ["="], ["NUM", "2"], [";"], ["EOF"]].forEach(function (token) {
+        push.push(token[0], token[1]);
+    });
+    assert.deepEqual(push.end(), ["a=1", "b=2"], "parse continues after the repair");
+    assert.equal(parser.repairs.length, 1, "repair recorded");
+    assert.deepEqual(parser.repairs[0].repair.map(function (edit) { return [edit.type, edit.token]; }), [["insert", ";"]], "inserted token");
+};
+
+exports["test push parser in generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {pushParser: true});
+    gen.lexer = new Lexer({rules: [["$", "return 'EOF';"]]});
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    var push = exports.parser.createPushParser();
+    push.push("NUM", "6");
+    push.push("*");
+    push.push("NUM", "7");
+    push.push("EOF");
+    assert.equal(push.end(), 42, "generated parser should evaluate pushed tokens");
+
+    assert.equal(new Jison.Generator(grammar).generateCommonJSModule().indexOf("createPushParser"), -1, "only with the pushParser option");
+};
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["\\+", "return '+';"],
+       ["\\*", "return '*';"],
+       ["\\(", "return '(';"],
+       ["\\)", "return ')';"],
+       ["$", "return 'EOF';"]
+    ]
+};
+
+exports["test parseAsync"] = function () {
+    var parser = new Jison.Parser(grammar, {asyncParser: true});
+    parser.lexer = new Lexer(lexData);
+
+    return parser.parseAsync("2 * (3 + 4)").then(function (result) {
+        assert.equal(result, 14, "should resolve to the result of the parse");
+    });
+};
+
+exports["test parseAsync with an asynchronous lexer"] = function () {
+    var parser = new Jison.Parser(grammar, {asyncParser: true});
+    var lexer = new Lexer(lexData);
+    parser.lexer = {
+        setInput: function (input, yy) {
+            lexer.setInput(input, yy);
+        },
+        lex: function () {
+            var self = this;
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    var token = lexer.lex();
+                    self.yytext = lexer.yytext;
+                    self.yylloc = lexer.yylloc;
+                    resolve(token);
+                }, 0);
+            });
+        }
+    };
+
+    return parser.parseAsync("1 + 2 * 3").then(function (result) {
+        assert.equal(result, 7, "should wait for each token");
+    });
+};
+
+exports["test parseAsync yields to the event loop"] = function () {
+    var parser = new Jison.Parser(grammar, {asyncParser: true});
+    parser.lexer = new Lexer(lexData);
+    parser.yieldEvery = 2;
+
+    var ticks = 0;
+    function tick () {
+        ticks++;
+        if (ticks < 100) setTimeout(tick, 0);
+    }
+    setTimeout(tick, 0);
+
+    var input = [];
+    for (var i = 0; i < 20; i++) input.push(i);
+    return parser.parseAsync(input.join(" + ")).then(function (result) {
+        assert.equal(result, 190);
+        assert.ok(ticks > 5, "other callbacks ran during the parse");
+    });
+};
+
+exports["test parseAsync rejects on parse error"] = function () {
+    var parser = new Jison.Parser(grammar, {asyncParser: true});
+    parser.lexer = new Lexer(lexData);
+
+    return parser.parseAsync("1 + + 2").then(function () {
+        assert.fail("should not resolve");
+    }, function (e) {
+        assert.ok(/Unexpected '\+'/.test(e.message), "rejects with the parse error");
+    });
+};
+
+exports["test parseAsync ranges"] = function () {
+    var grammar = {
+        lex: {
+            options: {ranges: true},
+            rules: [["\\s+", "/* skip whitespace */"], ["x+", "return 'x';"], ["y+", "return 'y';"], ["$", "return 'EOF';"]]
+        },
+        bnf: {
+            "S" :[[ "A EOF", "return @1.range;" ]],
+            "A" :[[ "x y", "" ]]
+        }
+    };
+
+    return new Jison.Parser(grammar, {asyncParser: true}).parseAsync("xxx yy").then(function (result) {
+        assert.deepEqual(result, [0, 6], "range of the location");
+    });
+};
+
+exports["test parseAsync collecting errors"] = function () {
+    var grammar = {
+        bnf: {
+            "S" :[ [ "stmts EOF",    "return $1" ]],
+            "stmts" :[ [ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                       [ "", "$$ = [];" ]],
+            "stmt" :[ [ "e ;",    "$$ = $1;" ],
+                      [ "error ;", "$$ = 'error';" ]],
+            "e" :[ [ "e + NUM", "$$ = $1 + Number($3);" ],
+                   [ "NUM",     "$$ = Number($1);" ] ]
+        }
+    };
+    var parser = new Jison.Parser(grammar, {asyncParser: true, collectErrors: true});
+    parser.lexer = new Lexer({rules: lexData.rules.concat([[";", "return ';';"]])});
+
+    return parser.parseAsync("1 + 2; + 3; 4;").then(function (parsed) {
+        assert.deepEqual(parsed.result, [3, "error", 4], "parse continues after recoverable errors");
+        assert.deepEqual(parsed.diagnostics.map(function (error) { return error.token; }), ["+"], "errors collected");
+        return parser.parseAsync("1 +");
+    }).then(function (parsed) {
+        assert.strictEqual(parsed.result, undefined, "no result after an unrecoverable error");
+        assert.equal(parsed.diagnostics.length, 1, "unrecoverable error collected");
+        assert.strictEqual(parsed.diagnostics[0].recoverable, false, "recovery failed");
+    });
+};
+
+exports["test parseAsync in generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {asyncParser: true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    assert.equal(new Jison.Generator(grammar).generateCommonJSModule().indexOf("parseAsync"), -1, "only with the asyncParser option");
+    return exports.parser.parseAsync("6 * 7").then(function (result) {
+        assert.equal(result, 42, "generated parser should parse asynchronously");
+    });
+};
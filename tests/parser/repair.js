@@ -0,0 +1,116 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["[a-z]+", "return 'ID';"],
+       ["=", "return '=';"],
+       [";", "return ';';"],
+       ["\\+", "return '+';"],
+       ["\\)", "return ')';"],
+       ["$", "return 'EOF';"]
+    ]
+};
+
+var grammar = {
+    bnf: {
+        "prog"  :[[ "stmts EOF", "return $1;" ]],
+        "stmts" :[[ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                  [ "", "$$ = [];" ]],
+        "stmt"  :[[ "ID = e ;", "$$ = $1 + '=' + $3;" ]],
+        "e"     :[[ "e + NUM", "$$ = $1 + Number($3);" ],
+                  [ "NUM", "$$ = Number($1);" ]]
+    }
+};
+
+function repairingParser (diagnostics, options) {
+    options = options || {};
+    options.errorRepair = true;
+    var parser = new Jison.Parser(grammar, options);
+    parser.lexer = new Lexer(lexData);
+    parser.yy.parseError = function (str, hash) {
+        if (!hash.recoverable) throw new Error(str);
+        diagnostics.push(hash);
+    };
+    return parser;
+}
+
+exports["test error repair inserts a token"] = function () {
+    var diagnostics = [];
+    var parser = repairingParser(diagnostics);
+
+    assert.deepEqual(parser.parse("a = 1 + 2; b = 3 c = 4;"), ["a=3", "b=3", "c=4"], "parse continues after the repair");
+    assert.equal(diagnostics.length, 1, "one diagnostic");
+    assert.equal(diagnostics[0].token, "ID", "offending token");
+    assert.deepEqual(diagnostics[0].repair.map(function (edit) { return [edit.type, edit.token]; }), [["insert", ";"]], "inserted token");
+    assert.equal(diagnostics[0].repair[0].loc.first_column, 17, "inserted before the offending token");
+    assert.equal(diagnostics[0].repair[0].loc.last_column, 17, "empty location");
+};
+
+exports["test error repair deletes and replaces tokens"] = function () {
+    var diagnostics = [];
+    var parser = repairingParser(diagnostics);
+
+    assert.deepEqual(parser.parse("a = 1 ) + 2; b = 3 = 4;"), ["a=3", "b=7"], "parse continues after the repairs");
+    assert.equal(diagnostics.length, 2, "each error reported");
+    assert.equal(diagnostics[0].repair[0].type, "delete", "deleted token");
+    assert.equal(diagnostics[0].repair[0].text, ")", "deleted text");
+    assert.equal(diagnostics[1].repair[0].type, "replace", "replaced token");
+    assert.equal(diagnostics[1].repair[0].token, "=", "replaced token");
+    assert.equal(diagnostics[1].repair[0].replacement, "+", "replacement");
+};
+
+exports["test error repair at end of input"] = function () {
+    var diagnostics = [];
+    var parser = repairingParser(diagnostics);
+
+    assert.deepEqual(parser.parse("a = 1 +"), ["a=1"], "missing tokens inserted");
+    assert.deepEqual(diagnostics[0].repair.map(function (edit) { return edit.token; }), ["NUM", ";"], "two insertions");
+};
+
+exports["test error repairs are recorded"] = function () {
+    var parser = new Jison.Parser(grammar, {errorRepair: true});
+    parser.lexer = new Lexer(lexData);
+
+    assert.deepEqual(parser.parse("a = 1 ) + 2; b = 3 c = 4;"), ["a=3", "b=3", "c=4"], "default parseError");
+    assert.equal(parser.repairs.length, 2, "each repair recorded");
+    assert.equal(parser.repairs[0].repair[0].type, "delete", "deleted token");
+    assert.deepEqual(parser.repairs[1].repair.map(function (edit) { return [edit.type, edit.token]; }), [["insert", ";"]], "inserted token");
+    assert.equal(parser.repairs[1].recoverable, true, "recoverable");
+
+    parser.parse("a = 1;");
+    assert.deepEqual(parser.repairs, [], "repairs of the last parse");
+};
+
+exports["test error repair gives up on hopeless input"] = function () {
+    var parser = repairingParser([]);
+
+    assert.throws(function () {parser.parse("= = = = = = = =");}, /Parse error/, "no repair within the edit limit");
+};
+
+exports["test error repair in generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {errorRepair: true, "token-stack": true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    var diagnostics = [];
+    exports.parser.yy.parseError = function (str, hash) {
+        if (!hash.recoverable) throw new Error(str);
+        diagnostics.push(str);
+    };
+    assert.deepEqual(exports.parse("a = 1 b = 2;"), ["a=1", "b=2"], "generated parser repairs input");
+    assert.ok(/Unexpected 'ID', repaired by inserting ';'/.test(diagnostics[0]), "message describes the repair");
+};
+
+exports["test parser without error repair still throws"] = function () {
+    var parser = new Jison.Parser(grammar);
+    parser.lexer = new Lexer(lexData);
+
+    assert.throws(function () {parser.parse("a = 1 b = 2;");}, /Parse error/, "no repair by default");
+};
@@ -0,0 +1,85 @@
+var Jison = require("../setup").Jison,
+    assert = require("assert");
+
+function section (report, title) {
+    var start = report.indexOf(title + "\n");
+    var end = report.indexOf("\nState ", start + 1);
+    return report.slice(start, end === -1 ? undefined : end);
+}
+
+exports["test report lists grammar and symbols"] = function () {
+    var grammar = "%%\nlist : list ITEM | ;\n";
+
+    var report = new Jison.Generator(grammar).report();
+    assert.ok(report.indexOf("    1 list: list ITEM\n    2     | ε\n") !== -1, "numbered rules");
+    assert.ok(report.indexOf("    ITEM (4) 1\n") !== -1, "terminal with the rules using it");
+    assert.ok(report.indexOf("    list (3)\n        on left: 1 2, on right: 0 1\n") !== -1, "nonterminal usage");
+};
+
+exports["test report shows declared types"] = function () {
+    var grammar = "%token <string> ITEM\n%type <string[]> list\n%%\n" +
+                  "list : list ITEM {$$ = $1.concat([$2]);} | {$$ = [];} ;\n";
+
+    var report = new Jison.Generator(grammar).report();
+    assert.ok(report.indexOf("    ITEM <string> (4) 1\n") !== -1, "typed terminal");
+    assert.ok(report.indexOf("    list <string[]> (3)\n") !== -1, "typed nonterminal");
+};
+
+exports["test report describes states"] = function () {
+    var grammar = "%%\nlist : list ITEM | ;\n";
+
+    var gen = new Jison.Generator(grammar);
+    var state0 = section(gen.report(), "State 0");
+    assert.ok(state0.indexOf("    0 $accept: • list $end\n\n") !== -1, "kernel item");
+    assert.ok(state0.indexOf("    2 list: •  [$end, ITEM]\n") !== -1, "closure item with lookaheads");
+    assert.ok(state0.indexOf("    list         go to state 1\n") !== -1, "goto");
+
+    var state1 = section(gen.report(), "State 1");
+    assert.ok(state1.indexOf("    $end         accept\n") !== -1, "accept");
+    assert.ok(state1.indexOf("    ITEM         shift, and go to state 2\n") !== -1, "shift");
+
+    var report = new Jison.Generator("%%\ns : ITEM ;\n").report();
+    assert.ok(report.indexOf("    $default     reduce using rule 1 (s)\n") !== -1, "default reduction");
+};
+
+exports["test report explains conflict resolutions"] = function () {
+    var grammar = "%left '+'\n%nonassoc '<'\n%%\n" +
+                  "e : e '+' e | e '<' e | e '*' e | NUM ;\n";
+
+    var gen = new Jison.Generator(grammar, {counterexamples: true});
+    var report = gen.report();
+    assert.ok(report.indexOf("Conflict between rule 1 and token + resolved as reduce (%left +).") !== -1, "left associativity");
+    assert.ok(report.indexOf("Conflict between rule 2 and token < resolved as an error (%nonassoc <).") !== -1, "nonassociativity");
+    assert.ok(/State \d+ conflicts: 3 shift\/reduce/.test(report), "conflict summary");
+    assert.ok(/\*            \[reduce using rule 3 \(e\)\]/.test(report), "action discarded by default");
+    assert.ok(report.indexOf("Counterexample for the shift/reduce conflict on token *") !== -1, "counterexample");
+};
+
+exports["test report of LL parser"] = function () {
+    var grammar = "%%\nlist : ITEM list | ;\n";
+
+    var report = new Jison.Generator(grammar, {type: "ll"}).report();
+    assert.ok(report.indexOf("Prediction table\n") !== -1, "prediction table");
+    assert.ok(report.indexOf("        ITEM         predict rule 1 (list: ITEM list)\n") !== -1, "predicted rule");
+    assert.ok(report.indexOf("        $end         predict rule 2 (list: ε)\n") !== -1, "predicted empty rule");
+};
+
+exports["test DOT graph of the automaton"] = function () {
+    var grammar = "%%\ne : e '+' e | '\"' ;\n";
+
+    var dot = new Jison.Generator(grammar).toDot();
+    assert.equal(dot.indexOf("digraph automaton {\n"), 0, "graph header");
+    assert.ok(dot.indexOf('    s1 [label="State 1\\l\\l$accept: e • $end\\le: e • + e\\l"];\n') !== -1, "item set node");
+    assert.ok(dot.indexOf('    s0 -> s2 [label="\\""];\n') !== -1, "escaped edge label");
+    assert.ok(/s4 \[label="[^"]*", style=filled, fillcolor="#f4cccc", color="#cc0000"\];/.test(dot), "conflicted state highlighted");
+};
+
+exports["test Mermaid graph of the automaton"] = function () {
+    var grammar = "%%\ne : e '+' e | '\"' ;\n";
+
+    var mermaid = new Jison.Generator(grammar).toMermaid();
+    assert.equal(mermaid.indexOf("graph LR\n"), 0, "graph header");
+    assert.ok(mermaid.indexOf('    s2["State 2<br>e: #34; •"]\n') !== -1, "escaped item set node");
+    assert.ok(mermaid.indexOf('    s1 -->|"+"| s3\n') !== -1, "edge");
+    assert.ok(mermaid.indexOf("    class s4 conflict\n") !== -1, "conflicted state highlighted");
+};
@@ -0,0 +1,66 @@
+var Jison = require("../setup").Jison,
+    assert = require("assert");
+
+var grammar = "%left '+'\n%left '*'\n%%\n" +
+              "prog  : stmts EOF ;\n" +
+              "stmts : stmts stmt | ;\n" +
+              "stmt  : e ';' | IF e THEN stmt | error ';' ;\n" +
+              "e     : e '+' e | e '*' e | NUM | '(' e ')' | ID '(' args ')' ;\n" +
+              "args  : | list ;\n" +
+              "list  : e | list ',' e ;\n";
+
+function accepts (parser, sentence) {
+    var push = parser.createPushParser();
+    sentence.forEach(function (token) {
+        push.push(token);
+    });
+    return push.end();
+}
+
+exports["test sentences cover every production"] = function () {
+    var gen = new Jison.Generator(grammar, {pushParser: true});
+    var parser = gen.createParser();
+
+    var used = {};
+    var sentences = gen.generateSentences({count: 3, seed: 7, coverage: "productions"});
+    assert.ok(sentences.length >= 3, "at least count sentences");
+    sentences.forEach(function (sentence) {
+        assert.equal(sentence[sentence.length - 1], "EOF", "whole sentences");
+        assert.ok(accepts(parser, sentence), "in the language: " + sentence.join(" "));
+        sentence.forEach(function (token) { used[token] = true; });
+    });
+    assert.deepEqual(Object.keys(used).sort(), ["(", ")", "*", "+", ",", ";", "EOF", "ID", "IF", "NUM", "THEN"], "every terminal but error");
+};
+
+exports["test sentences are repeatable"] = function () {
+    var gen = new Jison.Generator(grammar);
+
+    var sentences = gen.generateSentences({count: 20, seed: 3, maxDepth: 6});
+    assert.equal(sentences.length, 20, "count sentences");
+    assert.deepEqual(gen.generateSentences({count: 20, seed: 3, maxDepth: 6}), sentences, "same seed, same sentences");
+    assert.notDeepEqual(gen.generateSentences({count: 20, seed: 4, maxDepth: 6}), sentences, "another seed");
+
+    var longest = Math.max.apply(Math, sentences.map(function (sentence) { return sentence.length; }));
+    var deeper = gen.generateSentences({count: 20, seed: 3, maxDepth: 12});
+    assert.ok(Math.max.apply(Math, deeper.map(function (sentence) { return sentence.length; })) > longest, "depth bounds sentences");
+};
+
+exports["test sentences the parser rejects are left out"] = function () {
+    var gen = new Jison.Generator("%nonassoc '<'\n%%\ne : e '<' e | NUM ;\n");
+
+    var sentences = gen.generateSentences({count: 10, seed: 1, coverage: "productions"});
+    assert.equal(sentences.length, 10);
+    sentences.forEach(function (sentence) {
+        assert.ok(sentence.join(" ") === "NUM" || sentence.join(" ") === "NUM < NUM", "no chained comparisons: " + sentence.join(" "));
+    });
+};
+
+exports["test sentences of an LL grammar"] = function () {
+    var gen = new Jison.Generator("%%\nlist : ITEM list | ;\n", {type: "ll"});
+
+    var sentences = gen.generateSentences({count: 5, seed: 2, maxDepth: 4});
+    assert.equal(sentences.length, 5);
+    sentences.forEach(function (sentence) {
+        assert.ok(sentence.length <= 3, "at most three items within depth 4");
+    });
+};
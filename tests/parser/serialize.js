@@ -0,0 +1,131 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var grammar = {
+    lex: {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["[0-9]+", "return 'NUM';"],
+           ["[a-z]+", "return 'ID';"],
+           ["\\+", "return '+';"],
+           ["=", "return '=';"],
+           [";", "return ';';"],
+           ["$", "return 'EOF';"]
+        ]
+    },
+    bnf: {
+        "prog"  :[[ "stmts EOF", "return $1;" ]],
+        "stmts" :[[ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                  [ "", "$$ = [];" ]],
+        "stmt"  :[[ "ID = e ;", "$$ = assign($1, $3);" ]],
+        "e"     :[[ "e + NUM", "$$ = $1 + Number($3);" ],
+                  [ "NUM", "$$ = Number($1);" ]]
+    },
+    moduleInclude: "function assign (id, value) { return id + '=' + value; }"
+};
+
+function roundTrip (compiled) {
+    return JSON.parse(JSON.stringify(compiled));
+}
+
+exports["test compiled grammar is plain data"] = function () {
+    var gen = new Jison.Generator(grammar);
+    var compiled = gen.serialize();
+
+    assert.deepEqual(roundTrip(compiled), compiled, "survives JSON");
+    assert.equal(compiled.format, "jison-compiled-grammar", "format");
+    assert.equal(compiled.algorithm, "lr", "algorithm");
+    assert.deepEqual(compiled.productions_, gen.productions_, "productions");
+    assert.deepEqual(compiled.symbols_, gen.symbols_, "symbols");
+    assert.equal(compiled.lexer.rules.length, 7, "lexer rules");
+    assert.equal(typeof compiled.performAction, "string", "actions as source");
+};
+
+exports["test load compiled grammar"] = function () {
+    var compiled = roundTrip(new Jison.Generator(grammar).serialize());
+
+    var parser = Jison.loadParser(compiled);
+    assert.deepEqual(parser.parse("a = 1 + 2; b = 3;"), ["a=3", "b=3"], "actions and module code");
+    assert.throws(function () {parser.parse("a = ;");}, Jison.JisonParseError, "parse errors");
+    assert.deepEqual(new parser.Parser().parse("c = 4;"), ["c=4"], "Parser constructor");
+};
+
+exports["test load compiled grammar without evaluating code"] = function () {
+    var gen = new Jison.Generator(grammar);
+    var source = gen.createParser();
+    var compiled = roundTrip(gen.serialize());
+
+    var originalFunction = global.Function;
+    global.Function = function () { throw new Error("code evaluated"); };
+    try {
+        var parser = Jison.loadParser(compiled, {
+            performAction: source.performAction,
+            lexerAction: source.lexer.performAction
+        });
+        assert.deepEqual(parser.parse("a = 1 + 2;"), ["a=3"], "parse with given actions");
+    } finally {
+        global.Function = originalFunction;
+    }
+};
+
+exports["test load compiled grammar with another lexer"] = function () {
+    var bnf = {bnf: grammar.bnf, moduleInclude: grammar.moduleInclude};
+    var compiled = roundTrip(new Jison.Generator(bnf).serialize());
+    assert.strictEqual(compiled.lexer, null, "no lexer");
+
+    var parser = Jison.loadParser(compiled, {lexer: new Lexer(grammar.lex)});
+    assert.deepEqual(parser.parse("a = 1;"), ["a=1"], "parse with the given lexer");
+};
+
+exports["test load compiled grammar of each algorithm"] = function () {
+    var expected = ["a=3", "b=3"];
+    [{type: "slr"}, {type: "lr"}, {glr: true}].forEach(function (options) {
+        var parser = Jison.loadParser(roundTrip(new Jison.Generator(grammar, options).serialize()));
+        assert.deepEqual(parser.parse("a = 1 + 2; b = 3;"), expected, JSON.stringify(options));
+    });
+
+    var llGrammar = {
+        lex: grammar.lex,
+        bnf: {
+            "e"    :[[ "NUM rest EOF", "return Number($1) + $2;" ]],
+            "rest" :[[ "+ NUM rest", "$$ = Number($2) + $3;" ],
+                     [ "", "$$ = 0;" ]]
+        }
+    };
+    var parser = Jison.loadParser(roundTrip(new Jison.Generator(llGrammar, {type: "ll"}).serialize()));
+    assert.equal(parser.parse("1 + 2 + 3"), 6, "LL parser");
+};
+
+exports["test load compiled grammar with options"] = function () {
+    var bnf = {lex: grammar.lex, bnf: {"s": ["e EOF"], "e": ["e + NUM", "NUM"]}};
+    var parser = Jison.loadParser(roundTrip(new Jison.Generator(bnf, {buildTree: true}).serialize()));
+    assert.equal(parser.parse("1 + 2").children[0].symbol, "e", "tree building");
+
+    parser = Jison.loadParser(roundTrip(new Jison.Generator(grammar, {collectErrors: true}).serialize()));
+    var parsed = parser.parse("a = 1; b = ;");
+    assert.equal(parsed.diagnostics.length, 1, "errors collected");
+};
+
+exports["test module code of compiled grammar sees the parser"] = function () {
+    var bnf = {
+        lex: grammar.lex,
+        bnf: {"s": [["e EOF", "return [f(), parser.symbols_.NUM];"]], "e": ["NUM"]},
+        moduleInclude: "function f () { return parser.yy; }"
+    };
+    var gen = new Jison.Generator(bnf);
+    var parser = Jison.loadParser(roundTrip(gen.serialize()));
+
+    var result = parser.parse("2");
+    assert.strictEqual(result[0], Object.getPrototypeOf(parser).yy, "parser bound in module code");
+    assert.equal(result[1], gen.symbols_.NUM, "parser bound in actions");
+};
+
+exports["test load rejects other data"] = function () {
+    var compiled = new Jison.Generator(grammar).serialize();
+
+    assert.throws(function () {Jison.loadParser({});}, /Not a compiled grammar/, "not compiled");
+    compiled.version = 99;
+    assert.throws(function () {Jison.loadParser(compiled);}, /version 99 is newer/, "newer version");
+    assert.throws(function () {new Jison.Generator(grammar, {"token-stack": true}).serialize();}, /token-stack/, "token stack");
+};
@@ -124,3 +124,96 @@ exports["test Ambigous grammar"] = function () {
     //var gen = new Jison.Generator(grammar, {type: "mlr", debug:true});
     //assert.strictEqual(gen.conflicts, 0, "should have no conflict");
 /*};*/
+
+var combGrammar = {
+    lex: {
+        rules: [
+           ["\\s+", "/* skip whitespace */"],
+           ["[0-9]+", "return 'NUM';"],
+           ["[a-z]+", "return 'ID';"],
+           ["[-+*/=(),;]", "return yytext;"],
+           ["$", "return 'EOF';"]
+        ]
+    },
+    operators: [["left", "+", "-"], ["left", "*", "/"]],
+    bnf: {
+        "prog"  :[[ "stmts EOF", "return $1;" ]],
+        "stmts" :[[ "stmts stmt", "$$ = $1.concat([$2]);" ],
+                  [ "", "$$ = [];" ]],
+        "stmt"  :[[ "ID = e ;", "$$ = [$1, $3];" ],
+                  [ "e ;", "$$ = $1;" ]],
+        "e"     :[[ "e + e", "$$ = $1 + $3;" ],
+                  [ "e - e", "$$ = $1 - $3;" ],
+                  [ "e * e", "$$ = $1 * $3;" ],
+                  [ "e / e", "$$ = $1 / $3;" ],
+                  [ "( e )", "$$ = $2;" ],
+                  [ "ID ( args )", "$$ = $3.length;" ],
+                  [ "NUM", "$$ = Number($1);" ]],
+        "args"  :[[ "args , e", "$$ = $1.concat([$3]);" ],
+                  [ "e", "$$ = [$1];" ]]
+    }
+};
+
+exports["test comb encoding of the parse table"] = function () {
+    var gen = new Jison.Generator(combGrammar);
+    var code = gen.generateCombTableCode(gen.table);
+    var table = new Function(code.commonCode + "return " + code.moduleCode)();
+
+    assert.equal(table.length, gen.table.length, "every state");
+    gen.table.forEach(function (row, state) {
+        for (var symbol in row) {
+            if (row[symbol] !== undefined) {
+                assert.deepEqual(table[state][symbol], row[symbol], "cell of state " + state + " on " + gen.symbols[symbol]);
+            }
+        }
+        for (symbol in table[state]) {
+            if (!gen.nonterminals[gen.symbols[symbol]]) {
+                assert.ok(row[symbol] !== undefined, "no other actions in state " + state);
+            }
+        }
+    });
+};
+
+// the parser exported by the module generated for grammar
+function generatedParser(grammar, options) {
+    var exports = {};
+    eval(new Jison.Generator(grammar, options).generate());
+    return exports;
+}
+
+exports["test parsers with comb encoded tables"] = function () {
+    var input = "a = 1 + 2 * (3 - 4); f(1, 2, 3) / 2;";
+    var expected = new Jison.Parser(combGrammar).parse(input);
+
+    var source = new Jison.Generator(combGrammar, {tableEncoding: "comb"}).generate();
+    assert.ok(source.indexOf("unpackCombTable(") !== -1, "comb vectors in the module");
+
+    var lalr = generatedParser(combGrammar, {tableEncoding: "comb"});
+    assert.deepEqual(lalr.parse(input), expected, "LALR parser");
+    assert.deepEqual(generatedParser(combGrammar, {tableEncoding: "comb", glr: true}).parse(input), expected, "GLR parser");
+    var message;
+    try {
+        new Jison.Parser(combGrammar).parse("a = ;");
+    } catch (e) {
+        message = e.message;
+    }
+    assert.throws(function () {lalr.parse("a = ;");}, function (e) { return e.message === message; }, "same error messages");
+
+    var llGrammar = {
+        lex: combGrammar.lex,
+        bnf: {
+            "e"    :[[ "NUM rest EOF", "return Number($1) + $2;" ]],
+            "rest" :[[ "+ NUM rest", "$$ = Number($2) + $3;" ],
+                     [ "", "$$ = 0;" ]]
+        }
+    };
+    assert.equal(generatedParser(llGrammar, {type: "ll", tableEncoding: "comb"}).parse("1 + 2 + 3"), 6, "LL parser");
+};
+
+exports["test table sizes in both encodings"] = function () {
+    var sizes = new Jison.Generator(combGrammar).tableSizes();
+
+    assert.equal(typeof sizes.object, "number", "size as objects");
+    assert.equal(typeof sizes.comb, "number", "size as comb vectors");
+    assert.throws(function () {new Jison.Generator(combGrammar, {tableEncoding: "packed"}).generate();}, /Unknown table encoding: packed/, "unknown encoding");
+};
@@ -0,0 +1,148 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["\\+", "return '+';"],
+       [";", "return ';';"]
+    ]
+};
+
+var grammar = {
+    bnf: {
+        "prog" :[[ "list", "return $1;" ]],
+        "list" :[[ "list stmt", "$$ = $1.concat([$2]);" ],
+                 [ "", "$$ = [];" ]],
+        "stmt" :[[ "e ;", "$$ = $1;" ],
+                 [ "error ;", "$$ = null;" ]],
+        "e"    :[[ "e + NUM", "$$ = $1 + Number($3);" ],
+                 [ "NUM", "$$ = Number($1);" ]]
+    }
+};
+
+function recordingParser (events, options) {
+    var parser = new Jison.Parser(grammar, options || {pushParser: true});
+    parser.lexer = new Lexer(lexData);
+    ["onShift", "onReduce", "onError", "onRecover", "onAccept"].forEach(function (hook) {
+        parser[hook] = function (event) {
+            // the states are read off the stack while the hook runs
+            events.push([hook, event, event.states]);
+        };
+    });
+    return parser;
+}
+
+exports["test hooks receive each step"] = function () {
+    var events = [];
+    var parser = recordingParser(events);
+
+    assert.deepEqual(parser.parse("1 + 2;"), [3], "parse result");
+    assert.deepEqual(events.map(function (e) { return e[0] + " " + (e[1].symbol || ""); }),
+        ["onReduce NUM", "onShift NUM", "onReduce +", "onShift +", "onShift NUM", "onReduce ;", "onShift ;", "onReduce $end", "onReduce $end", "onReduce $end", "onAccept $end"],
+        "events with their lookaheads");
+
+    var shift = events[1][1];
+    assert.equal(shift.text, "1", "shifted text");
+    assert.equal(shift.depth, 3, "stack depth after the shift");
+    assert.deepEqual(events[1][2], [0, events[1][2][1], shift.next], "states on the stack");
+
+    var reduce = events[5][1];
+    assert.equal(reduce.lhs, "e", "reduced nonterminal");
+    assert.deepEqual(reduce.rhs, ["e", "+", "NUM"], "handle");
+    assert.deepEqual(reduce.values, [1, "+", "2"], "values of the handle");
+    assert.equal(reduce.value, 3, "value of the reduction");
+    assert.equal(parser.productions_[reduce.production][0], parser.symbols_.e, "production");
+    assert.deepEqual(events[10][1].value, [3], "accepted value");
+};
+
+exports["test hooks on errors"] = function () {
+    var events = [];
+    var parser = recordingParser(events);
+    parser.yy.parseError = function () {};
+
+    assert.deepEqual(parser.parse("1 + ; 2;"), [null, 2], "parse result");
+    var error = events.filter(function (e) { return e[0] === "onError"; })[0][1];
+    assert.equal(error.symbol, ";", "offending token");
+    assert.deepEqual(error.expected, ["'NUM'"], "expected tokens");
+    var recover = events.filter(function (e) { return e[0] === "onRecover"; })[0][1];
+    assert.equal(recover.popped, 2, "states popped");
+    assert.equal(recover.symbol, ";", "lookahead kept");
+};
+
+exports["test hooks of push parser"] = function () {
+    var events = [];
+    var parser = recordingParser(events);
+
+    var push = parser.createPushParser();
+    push.push("NUM", "4");
+    push.push(";");
+    assert.deepEqual(push.end(), [4], "parse result");
+    assert.deepEqual(events.map(function (e) { return e[0]; }),
+        ["onReduce", "onShift", "onReduce", "onShift", "onReduce", "onReduce", "onReduce", "onAccept"], "events");
+};
+
+exports["test hooks of incremental parser"] = function () {
+    var events = [];
+    var parser = recordingParser(events, {incremental: true});
+
+    function steps () {
+        return events.splice(0).map(function (e) { return [e[0], e[1].symbol, e[1].production, e[1].depth, e[2]]; });
+    }
+    parser.parse("1 + 2; 3;");
+    var full = steps();
+    var parsed = parser.parseIncremental("1 + 2; 3;");
+    assert.deepEqual(steps(), full, "same steps as parse");
+
+    var reparsed = parser.reparse(parsed, {start: 0, deleted: 1, inserted: "4"});
+    assert.deepEqual(reparsed.result, [6, 3], "parse result");
+    var reused = events.filter(function (e) { return e[0] === "onShift" && e[1].reused; });
+    assert.ok(reused.length, "reused nonterminals are shifted");
+    assert.equal(reused[0][1].text, undefined, "no text");
+    assert.ok(!parser.terminals_[parser.symbols_[reused[0][1].symbol]], "a nonterminal");
+};
+
+exports["test pretty tracer"] = function () {
+    var parser = new Jison.Parser(grammar, {stepTracer: true});
+    parser.lexer = new Lexer(lexData);
+
+    var lines = [];
+    parser.traceSteps(function (line) { lines.push(line); });
+    parser.parse("7;");
+    var state = parser.table[0][parser.symbols_.list];
+    assert.deepEqual(lines.slice(0, 12), [
+        "Next token is token NUM",
+        "Reducing stack by rule 3 (list: ε):",
+        "-> $$ = nterm list ([])",
+        "Stack now 0",
+        "Entering state " + state,
+        "Shifting token NUM (\"7\")",
+        "Entering state " + parser.table[state][parser.symbols_.NUM][1],
+        "Next token is token ;",
+        "Reducing stack by rule 7 (e: NUM):",
+        "   $1 = token NUM (\"7\")",
+        "-> $$ = nterm e (7)",
+        "Stack now 0 " + state
+    ], "steps");
+    assert.equal(lines[lines.length - 1], "Accepted ([7])", "accepted");
+};
+
+exports["test pretty tracer in generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {stepTracer: true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    var lines = [];
+    exports.parser.traceSteps(function (line) { lines.push(line); });
+    exports.parser.yy.parseError = function () {};
+    exports.parse("+ ;");
+    assert.ok(lines.indexOf("Error in state 0, expecting 'NUM'") !== -1, "error");
+    assert.ok(lines.indexOf("Shifting token error (\"+\")") !== -1, "error token shifted");
+
+    assert.equal(new Jison.Generator(grammar).generateCommonJSModule().indexOf("traceSteps"), -1, "only with the stepTracer option");
+};
@@ -0,0 +1,142 @@
+var Jison = require("../setup").Jison,
+    Lexer = require("../setup").Lexer,
+    assert = require("assert");
+
+var lexData = {
+    rules: [
+       ["\\s+", "/* skip whitespace */"],
+       ["[0-9]+", "return 'NUM';"],
+       ["\\+", "return '+';"],
+       ["\\(", "return '(';"],
+       ["\\)", "return ')';"]
+    ]
+};
+
+var grammar = {
+    bnf: {
+        "e" :[ "e + t", "t" ],
+        "t" :[ "NUM", "( e )" ]
+    }
+};
+
+// drop locations, to compare the shape of trees
+function shape (tree) {
+    return JSON.parse(JSON.stringify(tree, function (key, value) {
+        return key === "loc" ? undefined : value;
+    }));
+}
+
+exports["test build concrete syntax tree"] = function () {
+    var parser = new Jison.Parser(grammar, {buildTree: true});
+    parser.lexer = new Lexer(lexData);
+
+    assert.deepEqual(shape(parser.parse("1 + 2")), {
+        symbol: "e", production: 1, children: [
+            {symbol: "e", production: 2, children: [
+                {symbol: "t", production: 3, children: [{symbol: "NUM", text: "1"}]}
+            ]},
+            {symbol: "+", text: "+"},
+            {symbol: "t", production: 3, children: [{symbol: "NUM", text: "2"}]}
+        ]
+    });
+};
+
+exports["test tree locations"] = function () {
+    var parser = new Jison.Parser(grammar, {buildTree: true});
+    parser.lexer = new Lexer(lexData);
+
+    var tree = parser.parse("(1)\n+ 22");
+    assert.deepEqual(tree.loc, {first_line: 1, first_column: 0, last_line: 2, last_column: 4});
+    assert.deepEqual(tree.children[2].children[0].loc, {first_line: 2, first_column: 2, last_line: 2, last_column: 4});
+};
+
+exports["test user actions override tree nodes"] = function () {
+    var grammar = {
+        bnf: {
+            "e" :[ "e + t", "t" ],
+            "t" :[[ "NUM", "$$ = Number(yytext);" ], "( e )" ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {buildTree: true});
+    parser.lexer = new Lexer(lexData);
+
+    var tree = parser.parse("(1)");
+    assert.deepEqual(shape(tree.children[0].children[1]), {symbol: "e", production: 2, children: [1]});
+};
+
+exports["test tree of the start symbol"] = function () {
+    var grammar = {
+        startSymbol: "t",
+        bnf: {
+            "e" :[ "e + t", "t" ],
+            "t" :[ "NUM", "( e )" ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {buildTree: true});
+    parser.lexer = new Lexer(lexData);
+
+    assert.equal(parser.parse("(1 + 2)").symbol, "t");
+    assert.throws(function () {parser.parse("1 + 2");}, "only a t is accepted");
+};
+
+exports["test tree of LL parser"] = function () {
+    var grammar = {
+        bnf: {
+            "e"    :[ "t rest" ],
+            "rest" :[ "+ t rest", "" ],
+            "t"    :[ "NUM", "( e )" ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {buildTree: true, type: "ll"});
+    parser.lexer = new Lexer(lexData);
+
+    assert.deepEqual(shape(parser.parse("1")), {
+        symbol: "e", production: 1, children: [
+            {symbol: "t", production: 4, children: [{symbol: "NUM", text: "1"}]},
+            {symbol: "rest", production: 3, children: []}
+        ]
+    });
+};
+
+exports["test tree of GLR parser"] = function () {
+    var grammar = {
+        bnf: {
+            "e" :[ "e + e", "NUM" ]
+        }
+    };
+
+    var parser = new Jison.Parser(grammar, {buildTree: true, glr: true});
+    parser.lexer = new Lexer(lexData);
+    parser.yy.merge = function (first, second) {
+        return first.children[0].production === 1 ? first : second;
+    };
+
+    var tree = parser.parse("1 + 2 + 3");
+    assert.equal(tree.children[0].production, 1, "left associative tree chosen");
+    assert.equal(tree.children[2].children[0].text, "3");
+};
+
+exports["test tree from generated module"] = function () {
+    var gen = new Jison.Generator(grammar, {buildTree: true});
+    gen.lexer = new Lexer(lexData);
+
+    var parserSource = gen.generateCommonJSModule();
+    var exports = {};
+    eval(parserSource);
+
+    assert.equal(exports.parse("(7)").children[0].children[1].children[0].children[0].text, "7");
+};
+
+exports["test tree from push parser"] = function () {
+    var push = new Jison.Parser(grammar, {buildTree: true, pushParser: true}).createPushParser();
+    push.push("NUM", "4");
+    push.push("+");
+    push.push("NUM", "2");
+
+    var tree = push.end();
+    assert.equal(tree.symbol, "e");
+    assert.equal(tree.children[2].children[0].text, "2");
+};